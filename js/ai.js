@@ -3,8 +3,13 @@
 // ============================================================
 
 class AI {
-    constructor(difficulty) {
+    /**
+     * @param {number} difficulty
+     * @param {Random} [rng] — source of all random choices
+     */
+    constructor(difficulty, rng = new Random()) {
         this.difficulty = difficulty;
+        this.rng = rng;
     }
 
     /**
@@ -24,8 +29,7 @@ class AI {
 
     /** Easy: random discard */
     _discardEasy(hand) {
-        const idx = Math.floor(Math.random() * hand.concealed.length);
-        return hand.concealed[idx];
+        return this.rng.pick(hand.concealed);
     }
 
     /** Medium: discard isolated tiles first, keep pairs and sequences */
@@ -42,7 +46,7 @@ class AI {
         });
         scored.sort((a, b) => a.score - b.score);
         const pool = scored.slice(0, Math.min(3, scored.length));
-        return pool[Math.floor(Math.random() * pool.length)].tile;
+        return this.rng.pick(pool).tile;
     }
 
     /** Hard: evaluate shanten, optimal discard, defensive play */
@@ -52,9 +56,14 @@ class AI {
         let bestTile = tiles[0];
         let bestScore = -Infinity;
 
+        // Efficiency: keep the lowest shanten, then the widest acceptance (ukeire)
+        const analysis = new Map(hand.getDiscardAnalysis(this._visibleTiles(hand, gameState)).map(a => [a.tile.key, a]));
+        const minShanten = Math.min(...[...analysis.values()].map(a => a.shanten));
+
         for (const t of tiles) {
+            const a = analysis.get(t.key);
             // Lower tileValue means less useful for us, so higher -tileValue means more discardable
-            let score = -this._tileValue(t, hand);
+            let score = (minShanten - a.shanten) * 60 + a.total * 2 - this._tileValue(t, hand);
 
             // 4. Locked Suit Strategy (3-Fan games)
             // If we have exposed a number suit meld, aggressively dump other number suits
@@ -161,7 +170,7 @@ class AI {
         // Always try to win
         if (this._canWinWith(hand, discardTile, context)) return 'win';
         // Sometimes claim Pung (50%)
-        if (hand.canPung(discardTile) && Math.random() < 0.5) return 'pung';
+        if (hand.canPung(discardTile) && this.rng.chance(0.5)) return 'pung';
         // Never chow
         return null;
     }
@@ -190,7 +199,7 @@ class AI {
             }
 
             if (isDangerousSuit) return 'chow'; // Prevent dangerous player from getting it or skip her turn
-            if (Math.random() < 0.6) return 'chow';
+            if (this.rng.chance(0.6)) return 'chow';
         }
         return null;
     }
@@ -217,7 +226,7 @@ class AI {
             }
             const pungMelds = hand.melds.filter(m => m.type !== MELD_TYPE.CHOW).length;
             if (pungMelds >= 2) return 'pung';
-            if (Math.random() < 0.4) return 'pung';
+            if (this._claimImproves(hand, sim => sim.doPung(discardTile))) return 'pung';
         }
 
         if (canChow && hand.canChow(discardTile).length > 0) {
@@ -229,7 +238,8 @@ class AI {
             }
 
             if (isDangerousSuit) return 'chow'; // Intercept!
-            if (Math.random() < 0.3) return 'chow';
+            const combo = this.chooseChowCombo(hand.canChow(discardTile));
+            if (this._claimImproves(hand, sim => sim.doChow(discardTile, combo))) return 'chow';
         }
         return null;
     }
@@ -287,9 +297,13 @@ class AI {
             seatWind: context.seatWind,
             roundWind: context.roundWind,
             selfDrawn: false,
-            lastTile: false,
-            isLastTile: false,
-            isKongDraw: false
+            winningTile: discardTile,
+            isLastTile: !!context.isLastTile,
+            isKongDraw: false,
+            robbingKong: !!context.robbingKong,
+            turnCount: context.turnCount,
+            players: context.players,
+            rules: context.rules
         });
         const idx2 = hand.concealed.findIndex(t => t.id === discardTile.id);
         if (idx2 >= 0) hand.concealed.splice(idx2, 1);
@@ -321,6 +335,30 @@ class AI {
 
     // ===================== Strategy Helpers =====================
 
+    /** Tiles this hand can see in the round info: every discard and other players' open melds */
+    _visibleTiles(hand, gameState) {
+        if (!gameState) return [];
+        const visible = (gameState.allDiscards || []).slice();
+        for (const p of gameState.players || []) {
+            if (p.index === hand.playerIndex) continue;
+            for (const m of p.melds) {
+                if (m.type !== MELD_TYPE.KONG_CONCEALED) visible.push(...m.tiles);
+            }
+        }
+        return visible;
+    }
+
+    /** Would making this claim (then discarding well) leave the hand at a lower shanten? */
+    _claimImproves(hand, claim) {
+        const sim = new Hand(hand.playerIndex);
+        sim.concealed = hand.concealed.slice();
+        sim.melds = hand.melds.slice();
+        sim.allowSevenPairs = hand.allowSevenPairs;
+        claim(sim);
+        const after = sim.getDiscardAnalysis();
+        return after.length > 0 && after[0].shanten < hand.getShanten().shanten;
+    }
+
     _getSuitDistribution(hand) {
         const dist = { [SUITS.WAN]: 0, [SUITS.TUNG]: 0, [SUITS.SOK]: 0, [SUITS.WIND]: 0, [SUITS.DRAGON]: 0 };
         for (const t of hand.concealed) {
@@ -6,16 +6,20 @@
     'use strict';
 
     const canvas = document.getElementById('gameCanvas');
-    const game = new Game();
+    // index.html?debug stops the game with an InvariantError the moment its tiles stop adding up
+    const debug = new URLSearchParams(location.search).has('debug');
+    const game = new Game({ scheduler: new RealTimeScheduler(), debug }); // The local match, and the menu's settings
+    let table = game; // The match on screen: game, or an OnlineGame while sitting at an online table
     const renderer = new Renderer(canvas);
     const ui = new UI(renderer, game);
 
-    let aiTimer = null;
     let showingMenu = true;
     let showingRoundEnd = false;
     let showingGameEnd = false;
     let showingChowSelect = false;
     let pendingChowCombos = [];
+    let replay = null; // Replay of the finished round, while viewing it
+    let curtainSeat = -1; // Hot-seat: the human the device is being passed to, until they tap in
 
     // Start intro music on load
     audioManager.playIntro();
@@ -23,8 +27,32 @@
     // Flag to prevent double-clicks during discard
     let discardProcessed = false;
 
-    // ===================== Callbacks =====================
-    game.onStateChange = function (state) {
+    // ===================== Game Events =====================
+
+    /**
+     * Turn the table so the human who must act sits at the bottom. In
+     * hot-seat play their hand stays face down behind a curtain until they
+     * tap in, and goes face down again once they have acted.
+     */
+    function updateView() {
+        const humans = table.humanSeats();
+        if (humans.length < 2) {
+            renderer.viewSeat = humans.length > 0 ? humans[0] : 0;
+            renderer.hideViewHand = false;
+            curtainSeat = -1;
+            return;
+        }
+        const seat = table.humanToAct();
+        if (seat < 0) {
+            renderer.hideViewHand = true;
+        } else if (seat !== renderer.viewSeat || renderer.hideViewHand) {
+            renderer.viewSeat = seat;
+            renderer.hideViewHand = true;
+            curtainSeat = seat;
+        }
+    }
+
+    function onStateChanged({ state }) {
         if (state === GAME_STATE.PLAYER_DISCARD) {
             discardProcessed = false; // Reset lock when player turn starts
         }
@@ -35,7 +63,7 @@
             audioManager.playSummary();
 
             // Trigger fireworks if someone won
-            if (game.winner >= 0) {
+            if (table.winner >= 0) {
                 for (let i = 0; i < 5; i++) {
                     setTimeout(() => {
                         renderer.createFirework(
@@ -57,19 +85,35 @@
             showingRoundEnd = false;
         }
         requestDraw();
-    };
+    }
 
-    game.onUpdate = function () {
-        requestDraw();
-        // Auto-process AI turns with delay (longer to allow voice to finish)
-        if (game.state === GAME_STATE.AI_TURN) {
-            if (aiTimer) clearTimeout(aiTimer);
-            aiTimer = setTimeout(() => {
-                game.processAITurn();
-                requestDraw();
-            }, 1500);
+    /** Draw and announce a match as it is played, local or online */
+    function watch(match) {
+        voiceManager.listenTo(match);
+        match.on(GAME_EVENT.STATE_CHANGED, updateView);
+        match.on(GAME_EVENT.UPDATED, updateView);
+        // After updateView, which may have turned the table to another seat
+        for (const event of [GAME_EVENT.STATE_CHANGED, GAME_EVENT.UPDATED, GAME_EVENT.TILE_DRAWN, GAME_EVENT.TILE_DISCARDED]) {
+            match.on(event, () => ui.refreshWaits(match));
         }
-    };
+        match.on(GAME_EVENT.STATE_CHANGED, onStateChanged);
+        match.on(GAME_EVENT.UPDATED, requestDraw);
+    }
+
+    watch(game);
+
+    game.on(GAME_EVENT.STATE_CHANGED, function ({ state }) {
+        // Autosave: each of these states follows a discard (or ends a round)
+        if (state === GAME_STATE.PLAYER_TURN || state === GAME_STATE.AI_TURN ||
+            state === GAME_STATE.CLAIMING || state === GAME_STATE.ROUND_END) {
+            SaveStore.save(game);
+        } else if (state === GAME_STATE.GAME_END) {
+            SaveStore.clear();
+        }
+    });
+
+    // Play carries on, but the broken round goes to the page's error reporting (open with ?debug to stop on it)
+    game.on(GAME_EVENT.INVARIANT_VIOLATED, ({ error }) => reportError(error));
 
     // ===================== Drawing =====================
     let drawQueued = false;
@@ -111,27 +155,45 @@
         // During gameplay, keep animation loop running for character avatars
         if (!animating) startAnimLoop();
 
+        if (table.online && table.state === GAME_STATE.MENU) {
+            renderer.drawTable();
+            ui.drawLobby(table);
+            return;
+        }
+
         if (showingGameEnd) {
-            renderer.drawGame(game);
-            ui.drawGameEnd(game);
+            renderer.drawGame(table);
+            ui.drawGameEnd(table);
+            return;
+        }
+
+        if (replay) {
+            renderer.drawReplay(replay);
+            ui.drawReplayControls(replay);
             return;
         }
 
         if (showingRoundEnd) {
-            renderer.drawGame(game);
-            ui.drawRoundEnd(game);
+            renderer.drawGame(table);
+            ui.drawRoundEnd(table);
             return;
         }
 
         if (showingChowSelect) {
-            renderer.drawGame(game);
-            const discardTile = game.lastDiscard;
+            renderer.drawGame(table);
+            const discardTile = table.lastDiscard;
             ui.drawChowSelect(pendingChowCombos, discardTile);
             return;
         }
 
-        renderer.drawGame(game);
-        ui.drawActionButtons(game);
+        if (curtainSeat >= 0) {
+            renderer.drawGame(table);
+            ui.drawPassCurtain(table, curtainSeat);
+            return;
+        }
+
+        renderer.drawGame(table);
+        ui.drawActionButtons(table);
     }
 
     // ===================== Input =====================
@@ -161,14 +223,14 @@
         if (ui.showVoicePanel) { ui.showVoicePanel = false; requestDraw(); }
 
         // Check tile clicks for discard
-        if (game.state === GAME_STATE.PLAYER_DISCARD && !showingMenu && !showingRoundEnd && !showingChowSelect) {
+        if (table.state === GAME_STATE.PLAYER_DISCARD && !showingMenu && !showingRoundEnd && !showingChowSelect) {
             if (discardProcessed) return; // Ignore multiple clicks until next draw
 
             const tileIdx = renderer.hitTestPlayerTile(mx, my);
             if (tileIdx >= 0) {
                 discardProcessed = true; // Set lock
-                const tile = game.hands[0].concealed[tileIdx];
-                game.playerDiscard(tile);
+                const tile = table.hands[renderer.viewSeat].concealed[tileIdx];
+                if (!table.playerDiscard(tile)) discardProcessed = false; // Refused or never sent
                 renderer.setSelectedTile(-1);
                 requestDraw();
             }
@@ -190,7 +252,7 @@
             return;
         }
 
-        if (game.state === GAME_STATE.PLAYER_DISCARD && !showingMenu && !showingRoundEnd) {
+        if (table.state === GAME_STATE.PLAYER_DISCARD && !showingMenu && !showingRoundEnd) {
             const tileIdx = renderer.hitTestPlayerTile(mx, my);
             renderer.setSelectedTile(tileIdx);
             requestDraw();
@@ -198,7 +260,7 @@
 
         // Cursor style
         const overBtn = ui.handleClick(mx, my);
-        canvas.style.cursor = (overBtn || (game.state === GAME_STATE.PLAYER_DISCARD && renderer.hitTestPlayerTile(mx, my) >= 0)) ? 'pointer' : 'default';
+        canvas.style.cursor = (overBtn || (table.state === GAME_STATE.PLAYER_DISCARD && renderer.hitTestPlayerTile(mx, my) >= 0)) ? 'pointer' : 'default';
     });
 
     window.addEventListener('mouseup', function () {
@@ -216,72 +278,200 @@
         requestDraw();
     }
 
+    /** Voice lines and music draw from their own streams so they never shift the deal */
+    function seedPresentation(seed) {
+        voiceManager.rng = new Random(Random.derive(seed, 'voice'));
+        audioManager.rng = new Random(Random.derive(seed, 'audio'));
+    }
+
+    /** Ask which server and room, then sit down at that table (named after the chosen character) */
+    function joinOnline() {
+        const host = location.protocol.startsWith('http') ? location.host : 'localhost:8080';
+        const input = window.prompt('伺服器地址 / 房名（同一間房嘅玩家坐埋一枱）', `${host}/lobby`);
+        if (!input) return;
+        const [address, room = 'lobby'] = input.trim().replace(/^\w+:\/\//, '').split('/');
+        const name = createCharacters()[game.playerCharIndex].name;
+        const scheme = location.protocol === 'https:' ? 'wss' : 'ws';
+        let online;
+        try {
+            online = new OnlineGame(`${scheme}://${address}/ws?room=${encodeURIComponent(room)}&name=${encodeURIComponent(name)}`);
+        } catch (e) {
+            window.alert(`連唔到伺服器：${address}`);
+            return;
+        }
+        online.on('refused', () => {
+            discardProcessed = false; // The server turned the move down: let the player try again
+            requestDraw();
+        });
+        online.on('closed', () => {
+            if (table !== online) return;
+            window.alert('同伺服器斷咗線');
+            returnToMenu();
+        });
+        watch(online);
+        table = online;
+        ui.game = online;
+        showingMenu = false;
+        seedPresentation(Random.randomSeed()); // The deal's seed stays on the server
+        audioManager.playBgm();
+        requestDraw();
+    }
+
+    /** Leave the match (an online table carries on with the AI in our seat) */
+    function returnToMenu() {
+        table.abandon();
+        table = game;
+        ui.game = game;
+        replay = null;
+        curtainSeat = -1;
+        showingGameEnd = false;
+        showingRoundEnd = false;
+        showingChowSelect = false;
+        showingMenu = true;
+        stopAnimLoop();
+        audioManager.playIntro();
+        requestDraw();
+    }
+
+    /** Download this round's action log as a JSON file */
+    function exportRoundLog() {
+        const data = { seed: table.seed, round: table.totalRounds, log: table.roundLog };
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `hkmj-${table.seed !== null ? table.seed : 'online'}-round${table.totalRounds}.json`;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
     function handleButton(btn) {
         switch (btn.action) {
             case 'difficulty':
                 game.difficulty = btn.value;
                 requestDraw();
                 break;
-            case 'minFan':
-                game.minFan = btn.value;
+            case 'matchFormat':
+                game.matchFormat = btn.value;
                 requestDraw();
                 break;
+            case 'seatDraw':
+                game.seatDraw = !game.seatDraw;
+                requestDraw();
+                break;
+            case 'ruleSet': {
+                const idx = RULE_SET_PRESETS.findIndex(p => p.id === game.rules.id);
+                game.rules = RuleSet.preset(RULE_SET_PRESETS[(idx + 1) % RULE_SET_PRESETS.length].id);
+                requestDraw();
+                break;
+            }
             case 'theme':
                 game.tileTheme = btn.value;
                 renderer.tileThemeIndex = btn.value;
                 requestDraw();
                 break;
+            case 'humans':
+                game.setHumanCount(btn.value);
+                ui.onlineMode = false;
+                requestDraw();
+                break;
+            case 'online':
+                ui.onlineMode = true;
+                requestDraw();
+                break;
             case 'selectCharacter':
                 game.playerCharIndex = btn.value;
                 requestDraw();
                 break;
+            case 'seed': {
+                const input = window.prompt('輸入種子（留空 = 隨機）', game.fixedSeed !== null ? game.fixedSeed : '');
+                if (input !== null) game.fixedSeed = Random.parseSeed(input);
+                requestDraw();
+                break;
+            }
             case 'start':
+                if (ui.onlineMode) {
+                    joinOnline();
+                    break;
+                }
                 showingMenu = false;
-                audioManager.playBgm();
+                SaveStore.clear();
                 game.startGame();
+                seedPresentation(game.seed);
+                audioManager.playBgm();
+                requestDraw();
+                break;
+            case 'resume':
+                if (SaveStore.loadInto(game)) {
+                    showingMenu = false;
+                    seedPresentation(game.seed);
+                    audioManager.playBgm();
+                    game.resume();
+                }
+                requestDraw();
+                break;
+            case 'online_start':
+                table.start({
+                    difficulty: game.difficulty,
+                    matchFormat: game.matchFormat,
+                    rules: game.rules.id,
+                    seed: game.fixedSeed
+                });
+                break;
+            case 'curtain_ready':
+                curtainSeat = -1;
+                renderer.hideViewHand = false;
                 requestDraw();
                 break;
             case 'draw':
-                game.playerDraw();
+                table.playerDraw();
+                requestDraw();
+                break;
+            case 'seat_pick':
+                table.pickSeatTile(btn.value);
+                requestDraw();
+                break;
+            case 'seat_confirm':
+                table.confirmSeats();
                 requestDraw();
                 break;
             case 'dice_roll':
-                game.rollDice();
+                table.rollDice();
                 requestDraw();
                 break;
             case 'dice_confirm':
-                game.confirmDice();
+                table.confirmDice();
                 requestDraw();
                 break;
             case 'selfWin':
-                game.playerSelfWin();
+                table.playerSelfWin();
                 requestDraw();
                 break;
             case 'kong_concealed':
-                game.playerKong('kong_concealed', btn.value);
+                table.playerKong('kong_concealed', btn.value);
                 requestDraw();
                 break;
             case 'kong_added':
-                game.playerKong('kong_added', btn.value);
+                table.playerKong('kong_added', btn.value);
                 requestDraw();
                 break;
             case 'claim_win':
-                game.playerClaim('win');
+                table.playerClaim('win');
                 requestDraw();
                 break;
             case 'claim_kong':
-                game.playerClaim('kong');
+                table.playerClaim('kong');
                 requestDraw();
                 break;
             case 'claim_pung':
-                game.playerClaim('pung');
+                table.playerClaim('pung');
                 requestDraw();
                 break;
             case 'claim_chow':
                 // Need to select which chow combination
-                pendingChowCombos = game.hands[0].canChow(game.lastDiscard);
+                pendingChowCombos = table.hands[renderer.viewSeat].canChow(table.lastDiscard);
                 if (pendingChowCombos.length === 1) {
-                    game.playerClaim('chow', pendingChowCombos[0]);
+                    table.playerClaim('chow', pendingChowCombos[0]);
                 } else {
                     showingChowSelect = true;
                 }
@@ -289,26 +479,43 @@
                 break;
             case 'chow_select':
                 showingChowSelect = false;
-                game.playerClaim('chow', pendingChowCombos[btn.value]);
+                table.playerClaim('chow', pendingChowCombos[btn.value]);
                 requestDraw();
                 break;
             case 'claim_pass':
-                game.playerPass();
+                table.playerPass();
+                requestDraw();
+                break;
+            case 'replay':
+                replay = new Replay(table.roundLog, {
+                    characters: table.characters,
+                    scores: table.scores
+                });
                 requestDraw();
                 break;
+            case 'replay_prev':
+                replay.prev();
+                requestDraw();
+                break;
+            case 'replay_next':
+                replay.next();
+                requestDraw();
+                break;
+            case 'replay_close':
+                replay = null;
+                requestDraw();
+                break;
+            case 'exportLog':
+                exportRoundLog();
+                break;
             case 'nextRound':
                 showingRoundEnd = false;
                 audioManager.playBgm();
-                game.nextRound();
+                table.nextRound();
                 requestDraw();
                 break;
             case 'backToMenu':
-                showingGameEnd = false;
-                showingRoundEnd = false;
-                showingMenu = true;
-                stopAnimLoop();
-                audioManager.playIntro();
-                requestDraw();
+                returnToMenu();
                 break;
             case 'toggleAudioPanel':
                 ui.showAudioPanel = !ui.showAudioPanel;
@@ -13,6 +13,7 @@ class AudioManager {
         this.muted = false;
         this._userInteracted = false;
         this._pendingPlay = null; // 'intro', 'bgm', or 'summary'
+        this.rng = new Random(); // Replaced with a seeded stream when a game starts
 
         this._init();
     }
@@ -122,7 +123,7 @@ class AudioManager {
         // Pick a random track that isn't the same as the last one
         let idx;
         do {
-            idx = Math.floor(Math.random() * this.bgmTracks.length);
+            idx = this.rng.nextInt(this.bgmTracks.length);
         } while (idx === this.currentBgmIndex && this.bgmTracks.length > 1);
 
         this.currentBgmIndex = idx;
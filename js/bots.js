@@ -0,0 +1,384 @@
+// ============================================================
+// bots.js — Outside AIs playing through a line-based JSON protocol
+// ============================================================
+//
+//   node js/bots.js [options] <bot command> [<bot command> ...]
+//
+// Each bot command is started as a process and takes the next seat from
+// seat 0; `ai` keeps the built-in AI in a seat, and seats left over go to
+// it too. One match is played through the headless Game and the scores
+// printed. Options: --seed N, --format east|half|full, --rules <preset id>,
+// --difficulty 0-2 (for the built-in AI), --timeout ms (per decision,
+// default 2000), --strikes N (timeouts or illegal answers before the
+// built-in AI takes a bot's seat for good, default 3), --json.
+//
+// The protocol: one JSON object per line each way. The engine writes to
+// the bot's stdin; the bot answers each request on stdout, echoing its id.
+// Anything the bot writes to stderr is passed through. The match begins once
+// every bot has answered start; one that does not within 10 s loses its seat.
+//
+//   { type: 'start', protocol: 1, seat, matchFormat, rules }  → bot: { type: 'ready' }
+//   { type: 'request', id, decision, view, ...details }  → bot: { id, answer }
+//       selfWin  { fan }                 answer true | false (自摸)
+//       kong     { options: [{ action, key }] }  answer one of options | null
+//       discard  {}                      answer the id of a tile in view.hand
+//       claim    { tile, from, options: ['win' | 'kong' | 'pung' | 'chow'], robbingKong }
+//                                        answer one of options | null
+//       chow     { tile, options: [[key, key]] }  answer one of options
+//   { type: 'illegal', id, reason }      the answer was refused or late: the built-in AI chose instead
+//   { type: 'roundEnd', wins: [{ player, fan, selfDrawn }], deltas, scores }
+//   { type: 'end', scores }              then stdin closes
+//
+// A view is what the seat may see: tiles are { id, key } with keys such as
+// 'tung_5' or 'wind_1' (winds 1–4 = 東南西北), other players' concealed
+// tiles only as a count.
+//
+//   { seat, dealer, roundWind, seatWinds, scores, wallRemaining, turn,
+//     hand: [tile], drawn: tile | null, lastDiscard: tile | null,
+//     players: [{ seat, concealed: count, melds: [{ type, tiles }], flowers, discards }] }
+
+const readline = require('readline');
+const { spawn } = require('child_process');
+const {
+    createGame, Player, AIPlayer, AI, Random, GAME_STATE, GAME_EVENT, MATCH_FORMATS, RULE_SET_PRESETS
+} = require('./engine');
+
+const PROTOCOL_VERSION = 1;
+const DEFAULT_TIMEOUT = 2000; // ms a bot has for each decision
+const DEFAULT_STRIKES = 3;    // timeouts or illegal answers before a bot loses its seat to the AI
+const START_GRACE = 10000;    // ms a bot has to answer start before the AI takes its seat
+const EXIT_GRACE = 1000;      // ms a bot has to exit once the match is over
+
+const tileView = t => ({ id: t.id, key: t.key });
+
+/** What seat may see of the game, as sent to its bot */
+function botView(game, seat) {
+    return {
+        seat,
+        dealer: game.dealerIndex,
+        roundWind: game.roundWind,
+        seatWinds: game.seatWinds.slice(),
+        scores: game.scores.slice(),
+        wallRemaining: game.wall.remaining,
+        turn: game.turnCount,
+        hand: game.hands[seat].concealed.map(tileView),
+        drawn: game._drawnTile && game.currentPlayer === seat ? tileView(game._drawnTile) : null,
+        lastDiscard: game.lastDiscard ? tileView(game.lastDiscard) : null,
+        players: game.hands.map((h, i) => ({
+            seat: i,
+            concealed: h.concealed.length,
+            melds: h.melds.map(m => ({ type: m.type, tiles: m.tiles.map(tileView) })),
+            flowers: h.flowers.map(tileView),
+            discards: h.discards.map(tileView)
+        }))
+    };
+}
+
+// ===================== BotPlayer =====================
+
+/**
+ * A seat played by an outside process. Each decision is sent as a request
+ * and waits for the answer; a late or illegal one counts as a strike and
+ * the built-in AI decides instead. After too many strikes, or if the
+ * process dies, the built-in AI plays the seat for the rest of the match.
+ */
+class BotPlayer extends Player {
+    /**
+     * @param {Object} options
+     * @param {Game} options.game
+     * @param {number} options.seat
+     * @param {string} options.command — run through the shell
+     * @param {number} [options.timeout] — ms per decision
+     * @param {number} [options.maxStrikes]
+     */
+    constructor({ game, seat, command, timeout = DEFAULT_TIMEOUT, maxStrikes = DEFAULT_STRIKES }) {
+        super();
+        this.game = game;
+        this.seat = seat;
+        this.command = command;
+        this.timeout = timeout;
+        this.maxStrikes = maxStrikes;
+        this.fallback = new AIPlayer(new AI(game.difficulty, new Random(Random.derive(game.seed, `bot${seat}`))));
+        this.stats = { decisions: 0, timeouts: 0, illegal: 0 };
+        this.retired = null; // Why the built-in AI has taken over, once it has
+        this._nextId = 1;
+        this._pending = null; // { id, method, request, parse, respond, timer }
+        this._finished = false;
+        // Settles once the bot has answered start, or has lost its seat
+        this.ready = new Promise(resolve => {
+            this._becomeReady = resolve;
+        });
+        this._startTimer = setTimeout(() => this._retire('never answered start'), START_GRACE);
+
+        this.process = spawn(command, { shell: true, stdio: ['pipe', 'pipe', 'inherit'] });
+        this.process.stdin.on('error', () => {}); // The bot has gone; 'exit' deals with it
+        this.process.on('error', () => this._retire('could not be started'));
+        this.process.on('exit', () => {
+            if (!this._finished) this._retire('exited');
+        });
+        readline.createInterface({ input: this.process.stdout }).on('line', line => this._receive(line));
+        this._send({
+            type: 'start', protocol: PROTOCOL_VERSION, seat,
+            matchFormat: game.matchFormat, rules: game.rules.toJSON()
+        });
+    }
+
+    get strikes() {
+        return this.stats.timeouts + this.stats.illegal;
+    }
+
+    decideSelfWin(request, respond) {
+        this._request('decideSelfWin', request, respond, 'selfWin', { fan: request.scoring.totalFan },
+            answer => typeof answer === 'boolean' ? answer : undefined);
+    }
+
+    decideKong(request, respond) {
+        this._request('decideKong', request, respond, 'kong', { options: request.options },
+            answer => answer === null ? null
+                : request.options.find(o => answer && o.action === answer.action && o.key === answer.key));
+    }
+
+    chooseDiscard(request, respond) {
+        this._request('chooseDiscard', request, respond, 'discard', {},
+            answer => request.hand.concealed.find(t => t.id === answer));
+    }
+
+    decideClaim(request, respond) {
+        this._request('decideClaim', request, respond, 'claim', {
+            tile: tileView(request.tile), from: request.from, options: request.actions, robbingKong: request.robbingKong
+        }, answer => answer === null || request.actions.includes(answer) ? answer : undefined);
+    }
+
+    chooseChowCombo(request, respond) {
+        this._request('chooseChowCombo', request, respond, 'chow', { tile: tileView(request.tile), options: request.combos },
+            answer => request.combos.find(c => Array.isArray(answer) && c[0] === answer[0] && c[1] === answer[1]));
+    }
+
+    /**
+     * Send a request and answer Game with what comes back, once parse has
+     * turned it into a legal answer (undefined if it is not one).
+     */
+    _request(method, request, respond, decision, details, parse) {
+        if (this.retired) {
+            this.fallback[method](request, respond);
+            return;
+        }
+        const id = this._nextId++;
+        const timer = setTimeout(() => this._refuse('timeout', `no answer within ${this.timeout} ms`), this.timeout);
+        this._pending = { id, method, request, parse, respond, timer };
+        this.stats.decisions++;
+        this._send({ type: 'request', id, decision, view: botView(this.game, this.seat), ...details });
+    }
+
+    _receive(line) {
+        let msg;
+        try {
+            msg = JSON.parse(line);
+        } catch (e) {
+            msg = null;
+        }
+        if (msg && msg.type === 'ready') {
+            clearTimeout(this._startTimer);
+            this._becomeReady();
+            return;
+        }
+        const pending = this._pending;
+        if (!pending || !msg || msg.id !== pending.id) return; // Late, or not an answer at all
+        const answer = pending.parse(msg.answer);
+        if (answer === undefined) {
+            this._refuse('illegal', `${JSON.stringify(msg.answer)} is not a legal answer`);
+            return;
+        }
+        clearTimeout(pending.timer);
+        this._pending = null;
+        pending.respond(answer);
+    }
+
+    /** Count a strike against the bot and let the built-in AI make this decision */
+    _refuse(kind, reason) {
+        const pending = this._pending;
+        if (!pending) return;
+        clearTimeout(pending.timer);
+        this._pending = null;
+        this.stats[kind === 'timeout' ? 'timeouts' : 'illegal']++;
+        this._send({ type: 'illegal', id: pending.id, reason });
+        if (this.strikes >= this.maxStrikes) this._retire(`${this.strikes} strikes`);
+        this.fallback[pending.method](pending.request, pending.respond);
+    }
+
+    /** Hand the seat to the built-in AI for good, including any decision still waiting */
+    _retire(reason) {
+        if (this.retired) return;
+        this.retired = reason;
+        clearTimeout(this._startTimer);
+        this._becomeReady();
+        const pending = this._pending;
+        if (pending) {
+            clearTimeout(pending.timer);
+            this._pending = null;
+            this.fallback[pending.method](pending.request, pending.respond);
+        }
+    }
+
+    _send(msg) {
+        if (this.process.stdin.writable) this.process.stdin.write(JSON.stringify(msg) + '\n');
+    }
+
+    /** Tell the bot the match is over and wait for it to exit (ending it if it will not) */
+    finish(scores) {
+        this._finished = true;
+        this._send({ type: 'end', scores });
+        this.process.stdin.end();
+        if (this.process.exitCode !== null || this.process.signalCode !== null) return Promise.resolve();
+        return new Promise(resolve => {
+            const timer = setTimeout(() => this.process.kill(), EXIT_GRACE);
+            this.process.on('exit', () => {
+                clearTimeout(timer);
+                resolve();
+            });
+        });
+    }
+
+    toJSON() {
+        return { type: 'bot', command: this.command };
+    }
+}
+
+// ===================== Match Runner =====================
+
+/**
+ * Play one match with bots in some seats and the built-in AI in the rest.
+ * @param {Object} options
+ * @param {Array<string|null>} options.bots — a command per seat (null = built-in AI)
+ * @param {number} [options.seed] / [options.difficulty] / [options.matchFormat] / [options.rules] — as createGame
+ * @param {number} [options.timeout] / [options.maxStrikes] — as BotPlayer
+ * @param {Function} [options.onRound] — called with each round's summary
+ * @returns {Promise<{ seed, scores, rounds, bots }>}
+ */
+function runMatch(options) {
+    const bots = [null, null, null, null];
+    const game = createGame({
+        seed: options.seed,
+        difficulty: options.difficulty,
+        matchFormat: options.matchFormat,
+        rules: options.rules,
+        seats: ['ai', 'ai', 'ai', 'ai'],
+        createPlayer: seat => bots[seat]
+    });
+    (options.bots || []).slice(0, 4).forEach((command, seat) => {
+        if (command) {
+            bots[seat] = new BotPlayer({ game, seat, command, timeout: options.timeout, maxStrikes: options.maxStrikes });
+        }
+    });
+
+    const rounds = [];
+    return new Promise((resolve, reject) => {
+        game.on(GAME_EVENT.STATE_CHANGED, ({ state }) => {
+            if (state === GAME_STATE.ROUND_END) {
+                const round = {
+                    round: game.totalRounds,
+                    roundWind: game.roundWind,
+                    dealer: game.dealerIndex,
+                    wins: game.wins.map(w => ({ player: w.player, fan: w.info.scoring ? w.info.scoring.totalFan : 0, selfDrawn: !!w.info.selfDrawn })),
+                    deltas: game.paymentInfo.deltas.slice(),
+                    scores: game.scores.slice()
+                };
+                rounds.push(round);
+                for (const bot of bots) {
+                    if (bot) bot._send({ type: 'roundEnd', wins: round.wins, deltas: round.deltas, scores: round.scores });
+                }
+                if (options.onRound) options.onRound(round);
+                setImmediate(() => {
+                    try {
+                        game.nextRound();
+                    } catch (e) {
+                        reject(e);
+                    }
+                });
+            } else if (state === GAME_STATE.GAME_END) {
+                Promise.all(bots.filter(Boolean).map(bot => bot.finish(game.scores.slice()))).then(() => resolve({
+                    seed: game.seed,
+                    scores: game.scores.slice(),
+                    rounds,
+                    bots: bots.map(bot => bot && { command: bot.command, ...bot.stats, retired: bot.retired })
+                }));
+            }
+        });
+        // A bot still starting up would spend its first decision's time on that
+        Promise.all(bots.filter(Boolean).map(bot => bot.ready)).then(() => {
+            game.rollDice();
+            game.confirmDice();
+        }).catch(reject);
+    });
+}
+
+// ===================== Command Line =====================
+
+function parseArgs(argv) {
+    const options = { bots: [], json: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+            return argv[++i];
+        };
+        if (arg === '--seed') options.seed = Random.parseSeed(value());
+        else if (arg === '--format') options.matchFormat = value();
+        else if (arg === '--rules') options.rules = value();
+        else if (arg === '--difficulty') options.difficulty = Number(value());
+        else if (arg === '--timeout') options.timeout = Number(value());
+        else if (arg === '--strikes') options.maxStrikes = Number(value());
+        else if (arg === '--json') options.json = true;
+        else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+        else options.bots.push(arg === 'ai' ? null : arg);
+    }
+    if (options.bots.length > 4) throw new Error('At most four bots');
+    if (options.matchFormat !== undefined && !MATCH_FORMATS.some(f => f.id === options.matchFormat)) {
+        throw new Error(`Unknown format ${options.matchFormat} (${MATCH_FORMATS.map(f => f.id).join(', ')})`);
+    }
+    if (options.rules !== undefined && !RULE_SET_PRESETS.some(p => p.id === options.rules)) {
+        throw new Error(`Unknown rules ${options.rules} (${RULE_SET_PRESETS.map(p => p.id).join(', ')})`);
+    }
+    return options;
+}
+
+function describeSeat(bots, seat) {
+    return bots[seat] ? `seat ${seat} (${bots[seat]})` : `seat ${seat} (AI)`;
+}
+
+module.exports = { BotPlayer, botView, runMatch, PROTOCOL_VERSION };
+
+if (require.main === module) {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (e) {
+        console.error(e.message);
+        console.error('Usage: node js/bots.js [--seed N] [--format east|half|full] [--rules id] [--difficulty 0-2] ' +
+            '[--timeout ms] [--strikes N] [--json] <bot command>...');
+        process.exit(2);
+    }
+    if (!options.json) {
+        options.onRound = round => {
+            const result = round.wins.length === 0 ? '荒莊'
+                : round.wins.map(w => `${describeSeat(options.bots, w.player)} wins ${w.fan} 番${w.selfDrawn ? ' 自摸' : ''}`).join(', ');
+            console.log(`Round ${round.round}: ${result} — scores ${round.scores.join(' / ')}`);
+        };
+    }
+    runMatch(options).then(result => {
+        if (options.json) {
+            console.log(JSON.stringify(result));
+            return;
+        }
+        console.log(`Seed ${result.seed}. Final scores:`);
+        result.scores.forEach((score, seat) => console.log(`  ${describeSeat(options.bots, seat)}: ${score}`));
+        result.bots.forEach((bot, seat) => {
+            if (!bot) return;
+            console.log(`  seat ${seat}: ${bot.decisions} decisions, ${bot.timeouts} timeouts, ${bot.illegal} illegal` +
+                (bot.retired ? ` — replaced by the AI (${bot.retired})` : ''));
+        });
+    }).catch(e => {
+        console.error(e.stack || e.message);
+        process.exit(1);
+    });
+}
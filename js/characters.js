@@ -2,18 +2,6 @@
 // characters.js — Animated character avatars with expressions
 // ============================================================
 
-// Expression constants
-const EXPR = {
-    NEUTRAL: 'neutral',
-    THINKING: 'thinking',
-    HAPPY: 'happy',
-    ECSTATIC: 'ecstatic',
-    SURPRISED: 'surprised',
-    ANGRY: 'angry',
-    SMIRK: 'smirk',
-    WORRIED: 'worried'
-};
-
 // Map expression strings to spritesheet column indices
 const EXPR_TO_INDEX = {
     'neutral': 0,
@@ -42,8 +42,12 @@ const MELD_TYPE = {
     KONG_ADDED: 'kong_added'
 };
 
+// Claims on a discard: higher beats lower; ties go to the seat nearest after the discarder
+const CLAIM_PRIORITY = { win: 3, kong: 2, pung: 2, chow: 1 };
+
 const GAME_STATE = {
     MENU: 'menu',
+    SEAT_DRAW: 'seat_draw',
     DICE_ROLL: 'dice_roll',
     DEALING: 'dealing',
     PLAYER_TURN: 'player_turn',
@@ -54,9 +58,45 @@ const GAME_STATE = {
     GAME_END: 'game_end'
 };
 
+// Events Game emits (see events.js), with their payloads
+const GAME_EVENT = {
+    STATE_CHANGED: 'stateChanged',     // { state }
+    UPDATED: 'updated',                // {} — something on the table changed; redraw
+    TILE_DRAWN: 'tileDrawn',           // { player, tile, source: 'wall' | 'dead' | 'tail' }
+    TILE_DISCARDED: 'tileDiscarded',   // { player, tile }
+    CLAIM_OFFERED: 'claimOffered',     // { player, tile, from, actions, robbingKong }
+    MELD_DECLARED: 'meldDeclared',     // { player, meld, from } — from is -1 for a kong made from hand
+    FLOWER_REPLACED: 'flowerReplaced', // { player, flowers } — bonus tiles just shown, replacements drawn
+    ROUND_WON: 'roundWon',             // { wins: [{ player, info }] } — head winner first
+    ROUND_DRAWN: 'roundDrawn',         // {} — 荒莊
+    PAYMENT_APPLIED: 'paymentApplied', // { deltas, details, responsible, scores }
+    GAME_ENDED: 'gameEnded',           // { scores }
+    INVARIANT_VIOLATED: 'invariantViolated' // { error } — an InvariantError, once a round (debug mode throws it instead)
+};
+
+// Character expressions (set by Game, drawn by characters.js)
+const EXPR = {
+    NEUTRAL: 'neutral',
+    THINKING: 'thinking',
+    HAPPY: 'happy',
+    ECSTATIC: 'ecstatic',
+    SURPRISED: 'surprised',
+    ANGRY: 'angry',
+    SMIRK: 'smirk',
+    WORRIED: 'worried'
+};
+
 const DIFFICULTY = { EASY: 0, MEDIUM: 1, HARD: 2 };
 const DIFFICULTY_NAMES = ['簡單 Easy', '普通 Medium', '困難 Hard'];
 
+// Match lengths: how many 圈 (prevailing winds) are played, each 圈 being four deals or more
+const MATCH_FORMATS = [
+    { id: 'east', name: '東風戰', winds: 1 },
+    { id: 'half', name: '半莊', winds: 2 },   // 東、南
+    { id: 'full', name: '全莊', winds: 4 }    // 東南西北
+];
+const DEFAULT_MATCH_FORMAT = 'full';
+
 // 10 tile colour themes — each defines accent hue for suit symbols
 const TILE_THEMES = [
     { name: '經典 Classic', hue: 210, sat: 70, lightBase: 35 },
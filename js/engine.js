@@ -0,0 +1,101 @@
+// ============================================================
+// engine.js — Headless rules engine for Node (no browser needed)
+// ============================================================
+//
+// The game's source files are plain browser scripts sharing globals, so
+// they are evaluated in order inside one VM context, exactly as the
+// <script> tags in index.html do. Only rule files are loaded: no window,
+// renderer, characters, voice or audio.
+//
+//   const { createGame, GAME_STATE } = require('./js/engine');
+//   const game = createGame({ seed: 42, difficulty: 2 });
+//   game.rollDice();      // with { seatDraw: true }: pickSeatTile(n) and confirmSeats() first
+//   game.confirmDice();   // AI turns play out until seat 0 must act
+//   while (game.state !== GAME_STATE.ROUND_END) { ... }
+//   console.log(game.toJSON());
+//
+// Subscribe with game.on(GAME_EVENT.TILE_DISCARDED, ({ player, tile }) => ...).
+//
+// Pass { scheduler: new ManualScheduler() } to step AI actions one at a time,
+// and { debug: true } to throw an InvariantError the moment a tile goes astray.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ENGINE_FILES = [
+    'constants.js',
+    'rules.js',
+    'random.js',
+    'scheduler.js',
+    'events.js',
+    'tile.js',
+    'wall.js',
+    'hand.js',
+    'scoring.js',
+    'invariants.js',
+    'ai.js',
+    'player.js',
+    'game.js',
+    'replay.js'
+];
+
+const EXPORTS = [
+    // constants.js
+    'SUITS', 'SUIT_NAMES', 'WINDS', 'WIND_NAMES', 'WIND_ENGLISH', 'DRAGONS', 'DRAGON_NAMES',
+    'NUMBER_NAMES', 'MELD_TYPE', 'CLAIM_PRIORITY', 'GAME_STATE', 'GAME_EVENT', 'EXPR', 'DIFFICULTY', 'DIFFICULTY_NAMES',
+    'MATCH_FORMATS', 'DEFAULT_MATCH_FORMAT',
+    'MAX_FAN', 'TOTAL_TILES', 'HAND_SIZE', 'WINNING_HAND_SIZE',
+    // rules.js
+    'FAN_TABLES', 'RULE_SET_DEFAULTS', 'RULE_SET_PRESETS', 'DEFAULT_RULE_SET',
+    // wall.js
+    'WALL_STACKS', 'DEAD_WALL_SIZE', 'LIVE_WALL_SIZE',
+    // classes and helpers
+    'SCHEDULER_DELAYS', 'RealTimeScheduler', 'ManualScheduler', 'InstantScheduler', 'EventEmitter',
+    'RuleSet', 'Random', 'Tile', 'createAllTiles', 'createTileLookup', 'createTileKeys', 'Wall', 'Hand', 'Scoring',
+    'Invariants', 'InvariantError', 'AI', 'Player', 'AIPlayer', 'HumanPlayer',
+    'Game', 'Replay'
+];
+
+/** Evaluate the engine files in a fresh context and return their globals */
+function loadEngine() {
+    const context = vm.createContext({ console, setTimeout, clearTimeout });
+    for (const file of ENGINE_FILES) {
+        const code = fs.readFileSync(path.join(__dirname, file), 'utf8');
+        vm.runInContext(code, context, { filename: file });
+    }
+    return vm.runInContext(`({ ${EXPORTS.join(', ')} })`, context);
+}
+
+const engine = loadEngine();
+
+/**
+ * Create a started Game with menu settings applied, waiting for rollDice().
+ * AI turns run synchronously unless another scheduler is passed.
+ * @param {Object} [options] — { seed, difficulty, matchFormat, seatDraw, seats, rules, minFan, multipleWinners,
+ *   scheduler, debug, createPlayer }
+ *   seats sets seatTypes, e.g. ['ai', 'ai', 'ai', 'ai'] for a game with no human;
+ *   createPlayer(seat, game) can seat any Player instead (see Game's constructor);
+ *   rules is a preset id or RuleSet; minFan / multipleWinners override single rules
+ */
+function createGame(options = {}) {
+    const game = new engine.Game({
+        scheduler: options.scheduler || new engine.InstantScheduler(),
+        debug: options.debug,
+        createPlayer: options.createPlayer
+    });
+    if (options.seed !== undefined) game.fixedSeed = options.seed;
+    if (options.difficulty !== undefined) game.difficulty = options.difficulty;
+    if (options.matchFormat !== undefined) game.matchFormat = options.matchFormat;
+    if (options.seatDraw !== undefined) game.seatDraw = options.seatDraw;
+    if (options.seats !== undefined) game.seatTypes = options.seats.slice();
+    if (options.rules !== undefined) {
+        game.rules = typeof options.rules === 'string' ? engine.RuleSet.preset(options.rules) : options.rules;
+    }
+    if (options.minFan !== undefined) game.rules = game.rules.with({ minFan: options.minFan });
+    if (options.multipleWinners !== undefined) game.rules = game.rules.with({ multipleWinners: options.multipleWinners });
+    game.startGame();
+    return game;
+}
+
+module.exports = { ...engine, createGame, loadEngine };
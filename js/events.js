@@ -0,0 +1,36 @@
+// ============================================================
+// events.js — Minimal event emitter for Game's subscribers
+// ============================================================
+//
+// Game emits the GAME_EVENT types; the app, voice, saving and anything
+// else subscribe with on() without having to share one callback.
+
+class EventEmitter {
+    constructor() {
+        this._listeners = new Map(); // type -> fn[]
+    }
+
+    /**
+     * Call fn(payload) every time type is emitted.
+     * @returns {Function} call it to unsubscribe
+     */
+    on(type, fn) {
+        if (!this._listeners.has(type)) this._listeners.set(type, []);
+        this._listeners.get(type).push(fn);
+        return () => this.off(type, fn);
+    }
+
+    off(type, fn) {
+        const list = this._listeners.get(type);
+        if (!list) return;
+        const idx = list.indexOf(fn);
+        if (idx >= 0) list.splice(idx, 1);
+    }
+
+    /** Run every listener of type in subscription order */
+    emit(type, payload = {}) {
+        const list = this._listeners.get(type);
+        if (!list) return;
+        for (const fn of list.slice()) fn(payload);
+    }
+}
@@ -0,0 +1,54 @@
+// ============================================================
+// example_bot.js — A small bot for the bots.js protocol
+// ============================================================
+//
+//   node js/bots.js "node js/example_bot.js" ai ai ai
+//
+// A starting point for writing your own: it reads one request per line
+// from stdin and answers on stdout (see bots.js for the whole protocol).
+// It wins whenever it can, takes every pung and kong, chows the first way
+// offered and throws away whichever tile has the fewest neighbours.
+
+const readline = require('readline');
+
+const HONOURS = ['wind', 'dragon'];
+
+/** How many tiles in the hand help this one into a set */
+function neighbours(tile, hand) {
+    const [suit, value] = tile.key.split('_');
+    return hand.filter(other => {
+        if (other.id === tile.id) return false;
+        const [otherSuit, otherValue] = other.key.split('_');
+        if (otherSuit !== suit) return false;
+        if (HONOURS.includes(suit)) return otherValue === value;
+        return Math.abs(Number(otherValue) - Number(value)) <= 2;
+    }).length;
+}
+
+function decide(msg) {
+    switch (msg.decision) {
+        case 'selfWin':
+            return true;
+        case 'kong':
+            return msg.options[0];
+        case 'claim':
+            return ['win', 'kong', 'pung', 'chow'].find(action => msg.options.includes(action)) || null;
+        case 'chow':
+            return msg.options[0];
+        case 'discard': {
+            const hand = msg.view.hand;
+            let best = hand[0];
+            for (const tile of hand) {
+                if (neighbours(tile, hand) < neighbours(best, hand)) best = tile;
+            }
+            return best.id;
+        }
+    }
+    return null;
+}
+
+readline.createInterface({ input: process.stdin }).on('line', line => {
+    const msg = JSON.parse(line);
+    if (msg.type === 'start') process.stdout.write(JSON.stringify({ type: 'ready' }) + '\n');
+    if (msg.type === 'request') process.stdout.write(JSON.stringify({ id: msg.id, answer: decide(msg) }) + '\n');
+});
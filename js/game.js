@@ -2,114 +2,245 @@
 // game.js — Game state machine & turn logic
 // ============================================================
 
-class Game {
-    constructor() {
+// Bumped whenever the shape of Game.toJSON() changes; loadJSON() refuses any other version
+const SAVE_VERSION = 3;
+
+class Game extends EventEmitter {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.scheduler] — runs delayed AI actions (see scheduler.js);
+     *   defaults to real time
+     * @param {boolean} [options.debug] — throw an InvariantError as soon as the tiles
+     *   stop adding up (see invariants.js), instead of only emitting INVARIANT_VIOLATED
+     * @param {Function} [options.createPlayer] — (seat, game) => Player for a seat, or
+     *   null to seat a human or the AI by seatTypes; how outside players such as bots sit down
+     */
+    constructor(options = {}) {
+        super();
+        this.scheduler = options.scheduler || new RealTimeScheduler();
+        this.debug = !!options.debug;
+        this.createPlayer = options.createPlayer || null;
         this.wall = new Wall();
         this.hands = [null, null, null, null];
-        this.ai = [null, null, null]; // 3 AI players
+        this.players = [null, null, null, null]; // Who decides for each seat (see player.js)
         this.state = GAME_STATE.MENU;
         this.currentPlayer = 0;
         this.dealerIndex = 0;
         this.roundWind = WINDS.EAST;
         this.roundNumber = 0;
+        this.dealerStreak = 0; // 連莊: hands in a row the current dealer has kept the deal
         this.seatWinds = [WINDS.EAST, WINDS.SOUTH, WINDS.WEST, WINDS.NORTH];
         this.lastDiscard = null;
         this.lastDiscardPlayer = -1;
         this.turnCount = 0;
         this.winner = -1;
         this.winInfo = null;
+        this.wins = []; // { player, info } for every winner — more than one only under 一炮多響
 
         // Settings
         this.difficulty = DIFFICULTY.MEDIUM;
+        this.matchFormat = DEFAULT_MATCH_FORMAT; // id in MATCH_FORMATS
         this.tileTheme = 0;
-        this.minFan = 1;
+        this.rules = RuleSet.preset(DEFAULT_RULE_SET); // House rules, chosen in the menu
         this.playerCharIndex = 0; // Selected by player in menu
+        this.fixedSeed = null; // Seed entered in menu (null = random each game)
+        this.seatDraw = false; // 搶位: draw wind tiles for seats before the first dice roll
+        this.seatTypes = ['human', 'ai', 'ai', 'ai']; // 'human' or 'ai' for each seat
 
-        // Callbacks
-        this.onStateChange = null;
-        this.onUpdate = null;
+        // Seating — seatOrder[i] is which character (player's choice first) sits at index i
+        this.seatOrder = [0, 1, 2, 3];
+        this.diceRoller = 0; // Seat that rolls for the first dealer (東位)
+        this.seatDrawTiles = []; // 搶位: wind under each face-down tile
+        this.seatDrawPicks = []; // 搶位: tile slot taken by each character (0 = the human)
+
+        // Randomness — every shuffle, dice roll and AI choice draws from these
+        this.seed = 0;
+        this.rng = new Random();
+        this.roundRng = null;
 
         // Claim state
         this.pendingClaims = [];
+        this.claimIntents = []; // Claims made on the current discard, held while a human decides
+        this.claimQueue = []; // { player, actions, isNextPlayer } humans still to be offered the discard
+        this.pendingRob = null; // { player, type, key, tile, offset } while an added kong can be robbed (搶槓)
 
         // Animation / flow control
         this.actionQueue = [];
         this.isProcessing = false;
+        this._epoch = 0; // Bumped whenever play restarts, so answers still on their way are ignored
 
         // Self-drawn flag
         this._selfDrawn = false;
         this._isKongDraw = false;
+        this._isFlowerDraw = false;
         this._drawnTile = null;
 
-        // Character avatars
-        this.characters = createCharacters();
+        // Character avatars (browser only — empty when run headless)
+        this.characters = [];
 
         // Scoring system
         this.scores = [10000, 10000, 10000, 10000];
-        this.totalRounds = 0;
-        this.maxRounds = 24; // 廿四圈
+        this.totalRounds = 0; // deals played this match
         this.paymentInfo = null; // { deltas, details, responsible }
 
         // Dice
         this.diceResults = [0, 0, 0];
         this.diceRolled = false;
+        this.breakDice = [0, 0, 0]; // dealer's roll each round that breaks the wall
+
+        // Append-only record of everything that happened this round (see _log)
+        this.roundLog = [];
+        this._invariantReported = false; // Non-debug: report a broken round only once
     }
 
-    startGame() {
-        // Reorder characters so player's chosen char is at index 0
-        const allChars = createCharacters();
-        const playerChar = allChars[this.playerCharIndex];
-        playerChar.name += ' (你)'; // Mark the human player
+    /** 起糊 of the current rule set */
+    get minFan() {
+        return this.rules.minFan;
+    }
 
-        const others = allChars.filter((_, i) => i !== this.playerCharIndex);
+    /** 一炮多響 under the current rule set */
+    get multipleWinners() {
+        return this.rules.multipleWinners;
+    }
+
+    /** The MATCH_FORMATS entry being played */
+    get match() {
+        return MATCH_FORMATS.find(f => f.id === this.matchFormat) ||
+            MATCH_FORMATS.find(f => f.id === DEFAULT_MATCH_FORMAT);
+    }
+
+    /** A fresh hand for a seat, following the rule set's winning shapes */
+    _newHand(playerIndex) {
+        const hand = new Hand(playerIndex);
+        hand.allowSevenPairs = this.rules.sevenPairs;
+        return hand;
+    }
+
+    startGame() {
+        this.scheduler.cancelAll();
+        this.seatOrder = [0, 1, 2, 3];
+        this.diceRoller = 0;
+        this._seatCharacters();
 
-        // Final character order: [Player, Right, Top, Left]
-        this.characters = [playerChar, ...others];
+        this.seed = this.fixedSeed !== null ? this.fixedSeed : Random.randomSeed();
+        this.rng = new Random(this.seed);
 
         this.roundWind = WINDS.EAST;
         this.dealerIndex = 0;
         this.roundNumber = 0;
+        this.dealerStreak = 0;
         this.totalRounds = 0;
         this.scores = [10000, 10000, 10000, 10000];
         this.diceResults = [0, 0, 0];
         this.diceRolled = false;
+        if (this.seatDraw) {
+            this._startSeatDraw();
+            this.state = GAME_STATE.SEAT_DRAW;
+        } else {
+            this.state = GAME_STATE.DICE_ROLL;
+        }
+        this.emit(GAME_EVENT.STATE_CHANGED, { state: this.state });
+    }
+
+    /** Reorder characters so player's chosen char is at index 0 */
+    _seatCharacters() {
+        if (typeof createCharacters !== 'function') return; // Headless: no avatars
+        const allChars = createCharacters();
+        const playerChar = allChars[this.playerCharIndex];
+        if (this.humanSeats().length === 1) playerChar.name += ' (你)'; // Mark the human player (hot-seat players go by name)
+
+        const others = allChars.filter((_, i) => i !== this.playerCharIndex);
+
+        // Final character order: [Player, Right, Top, Left], rearranged by 搶位
+        const seated = [playerChar, ...others];
+        this.characters = this.seatOrder.map(i => seated[i]);
+    }
+
+    // ===================== Seat Draw (搶位) =====================
+
+    /** Shuffle the four wind tiles face down */
+    _startSeatDraw() {
+        this.seatDrawTiles = [WINDS.EAST, WINDS.SOUTH, WINDS.WEST, WINDS.NORTH];
+        for (let i = 3; i > 0; i--) {
+            const j = this.rng.nextInt(i + 1);
+            [this.seatDrawTiles[i], this.seatDrawTiles[j]] = [this.seatDrawTiles[j], this.seatDrawTiles[i]];
+        }
+        this.seatDrawPicks = [];
+    }
+
+    /** The human takes a face-down wind tile, then the others take theirs in turn */
+    pickSeatTile(slot) {
+        if (this.state !== GAME_STATE.SEAT_DRAW || this.seatDrawPicks.length > 0) return false;
+        if (!(slot >= 0 && slot < 4)) return false;
+        this.seatDrawPicks.push(slot);
+        for (let player = 1; player < 4; player++) {
+            const left = [0, 1, 2, 3].filter(s => !this.seatDrawPicks.includes(s));
+            this.seatDrawPicks.push(left[this.rng.nextInt(left.length)]);
+        }
+        this.emit(GAME_EVENT.UPDATED);
+        return true;
+    }
+
+    /** Wind drawn by a character (0 = the human, then the others), or null before drawing */
+    seatDrawWind(player) {
+        const slot = this.seatDrawPicks[player];
+        return slot !== undefined ? this.seatDrawTiles[slot] : null;
+    }
+
+    /**
+     * Sit everyone down by the winds drawn: the human stays at the bottom and
+     * the others follow in turn order (東 → 南 → 西 → 北). East rolls the dice.
+     */
+    confirmSeats() {
+        if (this.state !== GAME_STATE.SEAT_DRAW || this.seatDrawPicks.length < 4) return;
+        const winds = [0, 1, 2, 3].map(p => this.seatDrawWind(p));
+        const order = [];
+        winds.forEach((wind, player) => { order[(wind - winds[0] + 4) % 4] = player; });
+        this.seatOrder = order;
+        this.diceRoller = (WINDS.EAST - winds[0] + 4) % 4;
+        this._seatCharacters();
         this.state = GAME_STATE.DICE_ROLL;
-        if (this.onStateChange) this.onStateChange(this.state);
+        this.emit(GAME_EVENT.STATE_CHANGED, { state: this.state });
+        this.emit(GAME_EVENT.UPDATED);
     }
 
     /** Roll dice to decide dealer */
     rollDice() {
         if (this.diceRolled) return;
         this.diceResults = [
-            Math.floor(Math.random() * 6) + 1,
-            Math.floor(Math.random() * 6) + 1,
-            Math.floor(Math.random() * 6) + 1
+            this.rng.nextInt(6) + 1,
+            this.rng.nextInt(6) + 1,
+            this.rng.nextInt(6) + 1
         ];
         this.diceRolled = true;
-        if (this.onUpdate) this.onUpdate();
+        this.emit(GAME_EVENT.UPDATED);
     }
 
     /** Confirm dice result and set initial dealer */
     confirmDice() {
         const sum = this.diceResults.reduce((a, b) => a + b, 0);
-        // Index mapping: 0=Self, 1=Right, 2=Top, 3=Left
-        this.dealerIndex = (sum - 1) % 4;
+        // Index mapping: 0=Self, 1=Right, 2=Top, 3=Left — counted round from the roller as 1
+        this.dealerIndex = (this.diceRoller + sum - 1) % 4;
         this.startRound();
     }
 
     /** Start a new round */
     startRound() {
+        this.scheduler.cancelAll(); // Nothing from the previous round may fire into this one
+        this.pendingRob = null;
+        // Each round gets its own stream so its wall depends only on seed + round number
+        this.roundRng = new Random(Random.derive(this.seed, `round${this.totalRounds}`));
         this.wall = new Wall();
-        this.wall.build();
+        this.wall.build(this.roundRng);
+        // The dealer rolls again to break the wall (開牌)
+        this.breakDice = [0, 1, 2].map(() => this.roundRng.nextInt(6) + 1);
+        this.wall.breakAt(this.dealerIndex, this.breakDice.reduce((a, b) => a + b, 0));
         this.hands = [];
         for (let i = 0; i < 4; i++) {
-            this.hands.push(new Hand(i));
-        }
-        // Create AI instances
-        this.ai = [];
-        for (let i = 0; i < 3; i++) {
-            this.ai.push(new AI(this.difficulty));
+            this.hands.push(this._newHand(i));
         }
+        this._epoch++;
+        this.players = [0, 1, 2, 3].map(seat => this._createPlayer(seat));
 
         this.seatWinds = [];
         for (let i = 0; i < 4; i++) {
@@ -121,19 +252,21 @@ class Game {
         for (let i = 0; i < 4; i++) {
             this.hands[i].setInitial(dealt[i]);
         }
-
-        // Initial Flower Bloom
-        for (let i = 0; i < 4; i++) {
-            const pIdx = (this.dealerIndex + i) % 4;
-            this._handleFlowerBloom(pIdx);
-        }
-
-        // Validate hand sizes
-        for (let i = 0; i < 4; i++) {
-            const expectedSize = (i === this.dealerIndex) ? 14 : 13;
-            const phase = (i === this.dealerIndex) ? 'before_discard' : 'after_discard';
-            this._validateHandSize(i, phase);
-        }
+        this.roundLog = [];
+        this._invariantReported = false;
+        this._log('deal', {
+            seed: this.seed,
+            round: this.totalRounds,
+            dealer: this.dealerIndex,
+            streak: this.dealerStreak,
+            roundWind: this.roundWind,
+            roundNumber: this.roundNumber,
+            seatWinds: this.seatWinds.slice(),
+            breakDice: this.breakDice.slice(),
+            wallStart: this.wall.start,
+            hands: dealt.map(tiles => tiles.map(t => t.id)),
+            remaining: this.wall.remaining
+        });
 
         this.currentPlayer = this.dealerIndex;
         this.lastDiscard = null;
@@ -141,31 +274,37 @@ class Game {
         this.turnCount = 0;
         this.winner = -1;
         this.winInfo = null;
+        this.wins = [];
+        this.claimIntents = [];
+        this.claimQueue = [];
         this._selfDrawn = false;
         this._isKongDraw = false;
         this._drawnTile = null;
 
+        // Initial Flower Bloom — a flower win here ends the round before the first discard
+        for (let i = 0; i < 4; i++) {
+            const pIdx = (this.dealerIndex + i) % 4;
+            if (this._handleFlowerBloom(pIdx)) return;
+        }
+
         // Dealer starts with 14
         this._selfDrawn = true;
+        this._isFlowerDraw = false;
         this._drawnTile = null;
 
-        if (this.currentPlayer === 0) {
-            this.state = GAME_STATE.PLAYER_DISCARD;
-            this._setExpression(0, EXPR.THINKING);
-        } else {
-            this.state = GAME_STATE.AI_TURN;
-            this._setExpression(this.currentPlayer, EXPR.THINKING);
-        }
-
         // Reset expressions
         for (let i = 0; i < 4; i++) {
-            this.characters[i].setExpression(EXPR.NEUTRAL);
+            this._setExpression(i, EXPR.NEUTRAL);
         }
 
-        if (this.onStateChange) this.onStateChange(this.state);
-        if (this.onUpdate) this.onUpdate();
+        if (this.players[this.dealerIndex].isHuman) this._decideTurn(this.dealerIndex);
+        else this._beginTurn(this.dealerIndex);
     }
 
+    /**
+     * Replace every bonus tile in a hand. Returns true if that ended the
+     * round with a flower win (see _checkFlowerWin); the caller must stop.
+     */
     _handleFlowerBloom(playerIndex) {
         const hand = this.hands[playerIndex];
         let foundBonus = true;
@@ -176,52 +315,91 @@ class Game {
             for (let i = hand.concealed.length - 1; i >= 0; i--) {
                 const tile = hand.concealed[i];
                 if (tile.isBonus) {
-                    let replacement = this.wall.drawFromDeadWall();
-                    if (!replacement) {
-                        replacement = this.wall.draw();
-                    }
+                    const replacement = this._nextReplacement();
                     if (!replacement) continue;
                     hand.concealed.splice(i, 1);
                     hand.addFlower(tile);
-                    hand.concealed.push(replacement);
+                    hand.concealed.push(replacement.tile);
+                    this._log('flower', { player: playerIndex, tile: tile.id });
+                    this._logDraw(playerIndex, replacement.tile, replacement.source);
                     foundBonus = true;
                 }
             }
         }
         hand.sort();
 
-        if (hand.flowers.length > startFlowerCount) {
-            if (typeof voiceManager !== 'undefined') voiceManager.announceFlower(this.characters[playerIndex].id);
+        // The tile just drawn is a flower replacement (花上自摸 if it wins)
+        this._isFlowerDraw = hand.flowers.length > startFlowerCount;
+        if (this._isFlowerDraw) {
+            this.emit(GAME_EVENT.FLOWER_REPLACED, { player: playerIndex, flowers: hand.flowers.slice(startFlowerCount) });
+            return this._checkFlowerWin(playerIndex);
         }
+        return false;
     }
 
-    _validateHandSize(playerIndex, phase) {
-        const hand = this.hands[playerIndex];
-        const actual = hand.concealed.length;
-        const expectedMod = (phase === 'before_discard') ? 2 : 1;
+    /** Next replacement tile (flower or kong): from the dead wall, or the live wall's tail once that runs out */
+    _nextReplacement() {
+        const tile = this.wall.drawFromDeadWall();
+        if (tile) return { tile, source: 'dead' };
+        const fromTail = this.wall.drawFromTail();
+        return fromTail ? { tile: fromTail, source: 'tail' } : null;
+    }
 
-        if (actual % 3 !== expectedMod) {
-            let target = actual;
-            while (target % 3 !== expectedMod && target > 0) {
-                target--;
-            }
-            if (target <= 0) target = expectedMod;
-
-            if (actual < target) {
-                while (hand.concealed.length < target) {
-                    const extra = this.wall.draw();
-                    if (!extra) break;
-                    hand.addTile(extra);
-                    this._handleFlowerBloom(playerIndex);
-                }
-                hand.sort();
-            } else if (actual > target) {
-                while (hand.concealed.length > target) {
-                    const excess = hand.concealed.pop();
-                    hand.discards.push(excess);
-                }
-            }
+    /** Draw a kong's replacement into the hand. Returns the tile, or null if none is left. */
+    _drawKongReplacement(playerIndex) {
+        const replacement = this._nextReplacement();
+        if (!replacement) return null;
+        this.hands[playerIndex].addTile(replacement.tile);
+        this._logDraw(playerIndex, replacement.tile, replacement.source);
+        return replacement.tile;
+    }
+
+    /** A kong needs a replacement tile, so none can be declared once both walls are empty */
+    canDeclareKong() {
+        return this.wall.deadWall.length + this.wall.remaining > 0;
+    }
+
+    // ===================== Flower Wins (花糊) =====================
+
+    /**
+     * After a player shows bonus tiles: 八仙過海 (all eight in one hand) or
+     * 七搶一 (seven in one hand while another player shows the eighth, which
+     * the seven-flower hand robs) wins on the spot, whoever's turn it is.
+     * @returns {boolean} true if the round ended
+     */
+    _checkFlowerWin(playerIndex) {
+        if (!this.rules.flowerWins) return false;
+        const counts = this.hands.map(h => h.flowers.length);
+        const winner = counts.findIndex(c => c >= 7);
+        if (winner < 0) return false;
+        if (counts[winner] === 8) {
+            this._declareFlowerWin(winner, -1);
+            return true;
+        }
+        const from = counts.findIndex((c, i) => i !== winner && c > 0);
+        if (from < 0) return false;
+        this._declareFlowerWin(winner, from);
+        return true;
+    }
+
+    /** End the round with a flower win; from is the seat robbed of the eighth flower, or -1 */
+    _declareFlowerWin(winner, from) {
+        const hand = this.hands[winner];
+        let robbed = null;
+        if (from >= 0) {
+            robbed = this.hands[from].flowers.pop();
+            hand.addFlower(robbed);
+        }
+        const scoring = Scoring.scoreFlowerWin(from >= 0 ? '七搶一' : '八仙過海', this.getContext(winner));
+        this._recordWin(winner, { scoring, selfDrawn: from < 0, fromPlayer: from, flowerWin: true });
+        this._log('flowerWin', {
+            player: winner, from, ...(robbed ? { tile: robbed.id } : {}), totalFan: scoring.totalFan
+        });
+        this._setExpression(winner, EXPR.ECSTATIC);
+        for (let i = 0; i < 4; i++) {
+            if (i !== winner) this._setExpression(i, i === from ? EXPR.ANGRY : EXPR.SURPRISED);
         }
+        this._endRound();
     }
 
     getAllDiscards() {
@@ -232,6 +410,34 @@ class Game {
         return all;
     }
 
+    /** Tiles a player can see outside their own hand: every discard and other players' open melds */
+    getVisibleTiles(playerIndex) {
+        const visible = this.getAllDiscards();
+        this.hands.forEach((h, i) => {
+            if (i === playerIndex) return;
+            for (const m of h.melds) {
+                if (m.type !== MELD_TYPE.KONG_CONCEALED) visible.push(...m.tiles);
+            }
+        });
+        return visible;
+    }
+
+    /**
+     * A seat's waiting tiles (聽牌) with unseen counts and discard-win fan, or [] if not ready.
+     * The fan is for a later discard: past the first go-around (no 地糊) and with no kong or
+     * flower replacement, though on an empty wall that discard is the last one (河底撈魚).
+     */
+    getPlayerWaits(playerIndex = 0) {
+        const ctx = {
+            ...this.getContext(playerIndex),
+            selfDrawn: false,
+            isKongDraw: false,
+            isFlowerDraw: false,
+            turnCount: this.turnCount + 1
+        };
+        return this.hands[playerIndex].getWaits(ctx, this.getVisibleTiles(playerIndex));
+    }
+
     getContext(playerIndex) {
         return {
             seatWind: this.seatWinds[playerIndex],
@@ -239,6 +445,10 @@ class Game {
             selfDrawn: this._selfDrawn,
             isLastTile: this.wall.remaining <= 0,
             isKongDraw: this._isKongDraw,
+            isFlowerDraw: this._isFlowerDraw,
+            robbingKong: false,
+            turnCount: this.turnCount,
+            rules: this.rules,
             minFan: this.minFan,
             allDiscards: this.getAllDiscards(),
             players: this.hands.map((h, i) => ({
@@ -250,443 +460,686 @@ class Game {
         };
     }
 
-    playerDraw() {
-        if (this.state !== GAME_STATE.PLAYER_TURN) return false;
-        const tile = this.wall.draw();
-        if (!tile) {
-            this._handleDraw();
-            return false;
+    // ===================== Players =====================
+
+    /** Seats played by people at this screen — more than one is hot-seat play */
+    humanSeats() {
+        return [0, 1, 2, 3].filter(seat => this.seatTypes[seat] === 'human');
+    }
+
+    /** Seat n humans: two sit opposite each other, three leave 上家 to the computer */
+    setHumanCount(n) {
+        const seats = [[0], [0, 2], [0, 1, 2], [0, 1, 2, 3]][n - 1];
+        this.seatTypes = [0, 1, 2, 3].map(seat => seats.includes(seat) ? 'human' : 'ai');
+    }
+
+    /** The Player for a seat: one from options.createPlayer, or a fresh one following seatTypes */
+    _createPlayer(seat) {
+        const player = this.createPlayer && this.createPlayer(seat, this);
+        if (player) return player;
+        if (this.seatTypes[seat] === 'human') return new HumanPlayer();
+        return new AIPlayer(new AI(this.difficulty, this.roundRng.fork()));
+    }
+
+    /**
+     * Change who plays a seat mid-match — an online player drops out and
+     * the AI takes over, or someone sits back down. A question the old
+     * player had not answered yet is put to the new one.
+     */
+    setSeatType(seat, type) {
+        this.seatTypes[seat] = type;
+        const old = this.players[seat];
+        if (!old) return; // Nothing dealt yet: startRound seats the right player
+        const player = this._createPlayer(seat);
+        this.players[seat] = player;
+        const pending = old.pending;
+        if (pending) {
+            old.pending = null;
+            player[pending.method](pending.request, pending.respond);
+        } else if (this.state === GAME_STATE.PLAYER_TURN && this.currentPlayer === seat && !player.isHuman) {
+            this._beginTurn(seat); // Was waiting for them to draw
         }
-        this.hands[0].addTile(tile);
-        this._handleFlowerBloom(0);
+    }
 
-        this._drawnTile = tile.isBonus ? null : tile;
-        this._selfDrawn = true;
-        this._isKongDraw = false;
+    /**
+     * Put a decision to the player in a seat (see player.js). The request
+     * gets { seat, hand, context } added; onAnswer runs with the reply,
+     * once, unless the round has been restarted or reloaded meanwhile.
+     */
+    _ask(seat, method, request, onAnswer) {
+        const player = this.players[seat];
+        const epoch = this._epoch;
+        let answered = false;
+        if (player.isHuman && method !== 'chooseChowCombo') {
+            this.state = method === 'decideClaim' ? GAME_STATE.CLAIMING : GAME_STATE.PLAYER_DISCARD;
+            this.emit(GAME_EVENT.STATE_CHANGED, { state: this.state });
+            this.emit(GAME_EVENT.UPDATED);
+        }
+        player[method]({ seat, hand: this.hands[seat], context: this.getContext(seat), ...request }, answer => {
+            if (answered || epoch !== this._epoch) return;
+            answered = true;
+            onAnswer(answer);
+        });
+    }
+
+    /** Carry out a decision: a human's at once, anyone else's after a pause so it can be seen and heard */
+    _act(seat, fn) {
+        if (this.players[seat].isHuman) {
+            fn();
+            return;
+        }
+        this.state = GAME_STATE.AI_TURN; // Nobody can act while it is announced
+        this.scheduler.schedule(fn, 'aiAction');
+        this.emit(GAME_EVENT.UPDATED);
+    }
+
+    // ===================== Human Input =====================
+    // The UI's calls, passed to the HumanPlayer being waited on
+
+    /** The HumanPlayer with a question pending, if any */
+    _waitingHuman() {
+        return this.players.find(p => p && p.isHuman && p.pending) || null;
+    }
 
-        this._validateHandSize(0, 'before_discard');
-        this._setExpression(0, EXPR.THINKING);
-        if (this.wall.remaining < 15) this._setExpression(0, EXPR.WORRIED);
+    /** Seat of the human who must act now — draw, discard or claim — or -1 */
+    humanToAct() {
+        if (this.state === GAME_STATE.PLAYER_TURN) return this.currentPlayer;
+        const human = this._waitingHuman();
+        return human ? human.pending.request.seat : -1;
+    }
 
-        this.state = GAME_STATE.PLAYER_DISCARD;
-        if (this.onStateChange) this.onStateChange(this.state);
-        if (this.onUpdate) this.onUpdate();
+    _humanInput(state, plan) {
+        const human = this._waitingHuman();
+        if (this.state !== state || !human) return false;
+        human.choose(plan);
         return true;
     }
 
+    playerDraw() {
+        if (this.state !== GAME_STATE.PLAYER_TURN) return false;
+        return this._takeTurn(this.currentPlayer);
+    }
+
+    /** Is the waiting human being offered 自摸? */
     canPlayerSelfWin() {
-        if (this.hands[0].canWin()) {
-            const ctx = this.getContext(0);
-            ctx.selfDrawn = true;
-            const scoring = Scoring.calculate(this.hands[0], ctx);
-            return Scoring.meetsMinimum(scoring.totalFan, this.minFan);
-        }
-        return false;
+        const human = this._waitingHuman();
+        return !!human && human.pending.method === 'decideSelfWin';
+    }
+
+    /** Kongs the waiting human may declare, as { action, key } (none once they must simply discard) */
+    playerKongOptions() {
+        const human = this._waitingHuman();
+        if (!human || !['decideSelfWin', 'decideKong'].includes(human.pending.method)) return [];
+        return this.kongOptions(human.pending.request.seat);
     }
 
     playerSelfWin() {
-        const ctx = this.getContext(0);
-        ctx.selfDrawn = true;
-        const scoring = Scoring.calculate(this.hands[0], ctx);
-        this.winner = 0;
-        this.winInfo = { scoring, selfDrawn: true };
-        this.state = GAME_STATE.ROUND_END;
-        this._setExpression(0, EXPR.ECSTATIC);
-        for (let i = 1; i < 4; i++) this._setExpression(i, EXPR.ANGRY);
-        if (typeof voiceManager !== 'undefined') voiceManager.announceAction('selfWin', this.characters[0].id);
-        this._applyPayment();
-        if (this.onStateChange) this.onStateChange(this.state);
-        if (this.onUpdate) this.onUpdate();
+        return this._humanInput(GAME_STATE.PLAYER_DISCARD, [['decideSelfWin', true]]);
+    }
+
+    playerKong(type, key) {
+        return this._humanInput(GAME_STATE.PLAYER_DISCARD, [['decideSelfWin', false], ['decideKong', { action: type, key }]]);
     }
 
     playerDiscard(tile) {
-        if (this.state !== GAME_STATE.PLAYER_DISCARD) return false;
-        this.state = null; // Lock
-        this.hands[0].discard(tile);
-        this.lastDiscard = tile;
-        this.lastDiscardPlayer = 0;
-        this._selfDrawn = false;
-        this._drawnTile = null;
-        if (typeof voiceManager !== 'undefined') voiceManager.announceDiscard(tile, this.characters[0].id);
-        this._processClaims(tile, 0);
-        return true;
+        return this._humanInput(GAME_STATE.PLAYER_DISCARD,
+            [['decideSelfWin', false], ['decideKong', null], ['chooseDiscard', tile]]);
     }
 
     playerClaim(action, chowCombo) {
-        const tile = this.lastDiscard;
-        const hand = this.hands[0];
+        const plan = [['decideClaim', action]];
+        if (action === 'chow') plan.push(['chooseChowCombo', chowCombo]);
+        return this._humanInput(GAME_STATE.CLAIMING, plan);
+    }
 
-        if (action === 'win') {
+    playerPass() {
+        return this._humanInput(GAME_STATE.CLAIMING, [['decideClaim', null]]);
+    }
+
+    // ===================== Turn Flow =====================
+
+    /** Seat p is up: a human clicks to draw, anyone else draws after a pause */
+    _beginTurn(p) {
+        this.currentPlayer = p;
+        this.state = this.players[p].isHuman ? GAME_STATE.PLAYER_TURN : GAME_STATE.AI_TURN;
+        this.emit(GAME_EVENT.STATE_CHANGED, { state: this.state });
+        this.emit(GAME_EVENT.UPDATED);
+        this._scheduleAITurn();
+    }
+
+    /** A non-human seat's turn, after its pause */
+    processAITurn() {
+        if (this.state !== GAME_STATE.AI_TURN) return;
+        this._takeTurn(this.currentPlayer);
+    }
+
+    /** Seat p draws (unless it holds 14 already, as the dealer does to start) and decides what to do */
+    _takeTurn(p) {
+        const hand = this.hands[p];
+        if (Invariants.handSize(hand) < WINNING_HAND_SIZE) {
+            const tile = this.wall.draw();
+            if (!tile) {
+                this._handleDraw();
+                return false;
+            }
             hand.addTile(tile);
-            const ctx = this.getContext(0);
-            ctx.selfDrawn = false;
-            const scoring = Scoring.calculate(hand, ctx);
-            this.winner = 0;
-            this.winInfo = { scoring, selfDrawn: false, fromPlayer: this.lastDiscardPlayer };
-            this.state = GAME_STATE.ROUND_END;
-            if (typeof voiceManager !== 'undefined') voiceManager.announceAction('winByDiscard', this.characters[0].id);
-            this._setExpression(0, EXPR.ECSTATIC);
-            this._setExpression(this.lastDiscardPlayer, EXPR.ANGRY);
-            for (let i = 1; i < 4; i++) {
-                if (i !== this.lastDiscardPlayer) this._setExpression(i, EXPR.SURPRISED);
+            this._logDraw(p, tile, 'wall');
+            if (this._handleFlowerBloom(p)) return true;
+            this._drawnTile = tile.isBonus ? null : tile;
+            this._selfDrawn = true;
+            this._isKongDraw = false;
+            if (this.players[p].isHuman) {
+                this._setExpression(p, EXPR.THINKING);
+                if (this.wall.remaining < 15) this._setExpression(p, EXPR.WORRIED);
             }
-            this._applyPayment();
-            if (this.onStateChange) this.onStateChange(this.state);
-            if (this.onUpdate) this.onUpdate();
+        }
+        this._decideTurn(p);
+        return true;
+    }
+
+    /**
+     * Seat p holds 14 tiles. Having drawn (or taken a kong's replacement)
+     * it may win (自摸) or declare a kong before discarding; after claiming
+     * a chow or pung it can only discard.
+     */
+    _decideTurn(p) {
+        this.currentPlayer = p;
+        const scoring = this._selfDrawn ? this._selfWinScoring(p) : null;
+        if (!scoring) {
+            this._decideKong(p);
             return;
         }
+        this._ask(p, 'decideSelfWin', { scoring }, win => {
+            if (win) this._act(p, () => this._declareSelfWin(p, scoring));
+            else this._decideKong(p);
+        });
+    }
 
-        if (action === 'kong') {
-            hand.doKongExposed(tile);
-            hand.melds[hand.melds.length - 1].fromPlayer = this.lastDiscardPlayer;
-            if (typeof voiceManager !== 'undefined') voiceManager.announceAction('kong', this.characters[0].id);
-            const replacement = this.wall.drawFromDeadWall();
-            if (replacement) {
-                hand.addTile(replacement);
-                this._handleFlowerBloom(0);
-                this._isKongDraw = true;
-                this._selfDrawn = true;
-            }
-            this.state = GAME_STATE.PLAYER_DISCARD;
-            this._setExpression(0, EXPR.HAPPY);
-        } else if (action === 'pung') {
-            hand.doPung(tile);
-            hand.melds[hand.melds.length - 1].fromPlayer = this.lastDiscardPlayer;
-            this.state = GAME_STATE.PLAYER_DISCARD;
-            this._setExpression(0, EXPR.HAPPY);
-            if (typeof voiceManager !== 'undefined') voiceManager.announceAction('pung', this.characters[0].id);
-        } else if (action === 'chow') {
-            hand.doChow(tile, chowCombo);
-            hand.melds[hand.melds.length - 1].fromPlayer = this.lastDiscardPlayer;
-            this.state = GAME_STATE.PLAYER_DISCARD;
-            this._setExpression(0, EXPR.HAPPY);
-            if (typeof voiceManager !== 'undefined') voiceManager.announceAction('chow', this.characters[0].id);
-        }
-
-        this._setExpression(this.lastDiscardPlayer, EXPR.SURPRISED);
-        const discardHand = this.hands[this.lastDiscardPlayer];
-        const dIdx = discardHand.discards.findIndex(t => t.id === tile.id);
-        if (dIdx >= 0) discardHand.discards.splice(dIdx, 1);
-        this._validateHandSize(0, 'before_discard');
+    _decideKong(p) {
+        const options = this._selfDrawn ? this.kongOptions(p) : [];
+        if (options.length === 0) {
+            this._chooseDiscard(p);
+            return;
+        }
+        this._ask(p, 'decideKong', { options }, choice => {
+            const option = choice && options.find(o => o.action === choice.action && o.key === choice.key);
+            if (option) this._act(p, () => this._declareKong(p, option.action, option.key));
+            else this._chooseDiscard(p);
+        });
+    }
 
-        if (this.onStateChange) this.onStateChange(this.state);
-        if (this.onUpdate) this.onUpdate();
+    _chooseDiscard(p) {
+        this._ask(p, 'chooseDiscard', {}, answer => {
+            const tile = answer && this.hands[p].concealed.find(t => t.id === answer.id);
+            if (tile) this._discard(p, tile);
+            else this._chooseDiscard(p); // Not a tile in hand: ask again
+        });
     }
 
-    playerKong(type, key) {
-        const hand = this.hands[0];
-        if (typeof voiceManager !== 'undefined') voiceManager.announceAction('kong', this.characters[0].id);
+    /** Scoring of seat p's hand as a self-drawn win, or null if it is not one worth 起糊 */
+    _selfWinScoring(p) {
+        const hand = this.hands[p];
+        if (!hand.canWin()) return null;
+        const ctx = this.getContext(p);
+        ctx.selfDrawn = true;
+        const scoring = Scoring.calculate(hand, ctx);
+        return Scoring.meetsMinimum(scoring.totalFan, this.minFan) ? scoring : null;
+    }
+
+    /** Kongs seat p could declare from hand right now, as { action, key } */
+    kongOptions(p) {
+        if (!this.canDeclareKong()) return [];
+        const hand = this.hands[p];
+        return [
+            ...hand.getConcealedKongs().map(key => ({ action: 'kong_concealed', key })),
+            ...hand.getAddedKongs().map(key => ({ action: 'kong_added', key }))
+        ];
+    }
+
+    _declareSelfWin(p, scoring) {
+        this._recordWin(p, { scoring, selfDrawn: true });
+        this._log('win', { player: p, selfDrawn: true, totalFan: scoring.totalFan });
+        this._setExpression(p, EXPR.ECSTATIC);
+        for (let i = 0; i < 4; i++) {
+            if (i !== p) this._setExpression(i, EXPR.ANGRY);
+        }
+        this._endRound();
+    }
+
+    /** Seat p declares a kong from hand; an added kong can be robbed first */
+    _declareKong(p, type, key) {
+        if (type === 'kong_added') {
+            const tile = this.hands[p].getTilesByKey(key)[0];
+            this.pendingRob = { player: p, type, key, tile, offset: 0 };
+            this._checkRobKong(1);
+            return;
+        }
+        this._completeKong(p, type, key);
+    }
+
+    _completeKong(p, type, key) {
+        const hand = this.hands[p];
         if (type === 'kong_concealed') {
             hand.doKongConcealed(key);
-        } else if (type === 'kong_added') {
+        } else {
             hand.doKongAdded(key);
         }
-        const replacement = this.wall.drawFromDeadWall();
-        if (replacement) {
-            hand.addTile(replacement);
-            this._handleFlowerBloom(0);
+        this._logKong(p, hand, type, key);
+        this._afterKong(p);
+    }
+
+    /** Draw a kong's replacement tile (槓上自摸 if it wins) and carry on the turn */
+    _afterKong(p) {
+        if (this._drawKongReplacement(p)) {
+            if (this._handleFlowerBloom(p)) return;
             this._isKongDraw = true;
             this._selfDrawn = true;
         }
-        this._validateHandSize(0, 'before_discard');
-        this.state = GAME_STATE.PLAYER_DISCARD;
-        if (this.onStateChange) this.onStateChange(this.state);
-        if (this.onUpdate) this.onUpdate();
+        this._decideTurn(p);
     }
 
-    playerPass() {
-        this._advanceTurn();
+    _discard(p, tile) {
+        if (this.players[p].isHuman) this.state = null; // Lock until the claims on it are settled
+        this.hands[p].discard(tile);
+        this._logDiscard(p, tile);
+        this.lastDiscard = tile;
+        this.lastDiscardPlayer = p;
+        this._selfDrawn = false;
+        this._isKongDraw = false;
+        this._isFlowerDraw = false;
+        this._drawnTile = null;
+        if (!this.players[p].isHuman) this._setExpression(p, EXPR.SMIRK);
+        this._processClaims(tile, p);
     }
 
-    /** Process one AI turn */
-    processAITurn() {
-        if (this.state !== GAME_STATE.AI_TURN) return;
+    // ===================== Robbing the Kong (搶槓) =====================
+
+    /**
+     * Before an added kong completes, the other players may win on its
+     * fourth tile. Seats are asked in turn order after the konging player,
+     * from offset on; if none robs it the kong goes ahead.
+     */
+    _checkRobKong(offset) {
+        const rob = this.pendingRob;
+        for (let k = offset; k < 4; k++) {
+            const i = (rob.player + k) % 4;
+            if (!this._canRobKong(i, rob.tile)) continue;
+            rob.offset = k;
+            if (this.players[i].isHuman) this.pendingClaims = ['win'];
+            this.emit(GAME_EVENT.CLAIM_OFFERED, {
+                player: i, tile: rob.tile, from: rob.player, actions: ['win'], robbingKong: true
+            });
+            const context = { ...this.getContext(i), robbingKong: true };
+            this._ask(i, 'decideClaim', {
+                context, tile: rob.tile, from: rob.player, actions: ['win'], isNextPlayer: false, robbingKong: true
+            }, answer => {
+                this.pendingClaims = [];
+                if (answer === 'win') this._act(i, () => this._robKong(i));
+                else this._checkRobKong(k + 1);
+            });
+            return;
+        }
+        this._resumeKong();
+    }
 
-        const p = this.currentPlayer;
-        const hand = this.hands[p];
-        const ai = this.ai[p - 1];
-        const ctx = this.getContext(p);
+    /** Would the robbed tile complete this hand with enough fan? */
+    _canRobKong(playerIdx, tile) {
+        const hand = this.hands[playerIdx];
+        hand.concealed.push(tile);
+        hand.sort();
+        let ok = false;
+        if (hand.canWin()) {
+            const ctx = this.getContext(playerIdx);
+            ctx.selfDrawn = false;
+            ctx.winningTile = tile;
+            ctx.robbingKong = true;
+            ok = Scoring.meetsMinimum(Scoring.calculate(hand, ctx).totalFan, this.minFan);
+        }
+        hand.removeTile(tile);
+        return ok;
+    }
 
-        const alreadyHas14 = hand.concealed.length === 14;
-        if (!alreadyHas14) {
-            const tile = this.wall.draw();
-            if (!tile) {
-                this._handleDraw();
-                return;
-            }
-            hand.addTile(tile);
-            this._handleFlowerBloom(p);
-            this._selfDrawn = true;
-            this._isKongDraw = false;
+    /** Nobody robbed: finish the added kong that was paused */
+    _resumeKong() {
+        const rob = this.pendingRob;
+        this.pendingRob = null;
+        this.pendingClaims = [];
+        this._completeKong(rob.player, rob.type, rob.key);
+    }
+
+    /** Win on the robbed tile — scored with 搶槓 and paid as a discard by the konging player */
+    _robKong(winnerIdx) {
+        const rob = this.pendingRob;
+        this.pendingRob = null;
+        this.pendingClaims = [];
+        const hand = this.hands[winnerIdx];
+
+        this.hands[rob.player].removeTile(rob.tile);
+        hand.addTile(rob.tile);
+        this.lastDiscard = rob.tile;
+        this.lastDiscardPlayer = rob.player;
+
+        const ctx = this.getContext(winnerIdx);
+        ctx.selfDrawn = false;
+        ctx.winningTile = rob.tile;
+        ctx.robbingKong = true;
+        const scoring = Scoring.calculate(hand, ctx);
+        this._recordWin(winnerIdx, { scoring, selfDrawn: false, fromPlayer: rob.player, robbedKong: true });
+        this._log('win', {
+            player: winnerIdx, selfDrawn: false, from: rob.player, tile: rob.tile.id,
+            robbedKong: true, totalFan: scoring.totalFan
+        });
+        this._setExpression(winnerIdx, EXPR.ECSTATIC);
+        this._setExpression(rob.player, EXPR.ANGRY);
+        for (let i = 0; i < 4; i++) {
+            if (i !== winnerIdx && i !== rob.player) this._setExpression(i, EXPR.SURPRISED);
         }
+        this._endRound();
+    }
 
-        this._validateHandSize(p, 'before_discard');
+    // ===================== Claim Arbitration =====================
 
-        // Check self-drawn win
-        if (hand.canWin()) {
-            ctx.selfDrawn = true;
-            const scoring = Scoring.calculate(hand, ctx);
-            if (Scoring.meetsMinimum(scoring.totalFan, this.minFan)) {
-                if (typeof voiceManager !== 'undefined') voiceManager.announceAction('selfWin', this.characters[p].id);
-                setTimeout(() => {
-                    this.winner = p;
-                    this.winInfo = { scoring, selfDrawn: true };
-                    this.state = GAME_STATE.ROUND_END;
-                    this._applyPayment();
-                    if (this.onStateChange) this.onStateChange(this.state);
-                    if (this.onUpdate) this.onUpdate();
-                }, 800);
-                return;
-            }
+    /**
+     * Collect every seat's claim on a discard, then resolve win > kong/pung > chow,
+     * ties going to the seat nearest after the discarder (截糊). Humans are
+     * asked last, and only offered claims that could still succeed against
+     * the others'. Once the wall is empty the discard can only be won on (河底撈魚).
+     */
+    _processClaims(discardTile, fromPlayer) {
+        const winOnly = this.wall.remaining <= 0;
+        const offers = [];
+        for (let k = 1; k < 4; k++) {
+            const player = (fromPlayer + k) % 4;
+            const actions = this._claimOptions(player, discardTile, k === 1)
+                .filter(action => !winOnly || action === 'win');
+            if (actions.length > 0) offers.push({ player, actions, isNextPlayer: k === 1 });
         }
 
-        // Check for Kong
-        const kongDecision = ai.decideKong(hand);
-        if (kongDecision) {
-            if (typeof voiceManager !== 'undefined') voiceManager.announceAction('kong', this.characters[p].id);
-            setTimeout(() => {
-                if (kongDecision.action === 'kong_concealed') {
-                    hand.doKongConcealed(kongDecision.key);
-                } else {
-                    hand.doKongAdded(kongDecision.key);
-                }
-                const replacement = this.wall.drawFromDeadWall();
-                if (replacement) {
-                    hand.addTile(replacement);
-                    this._handleFlowerBloom(p);
-                    this._isKongDraw = true;
-                    if (hand.canWin()) {
-                        ctx.selfDrawn = true;
-                        ctx.isKongDraw = true;
-                        const scoring = Scoring.calculate(hand, ctx);
-                        if (Scoring.meetsMinimum(scoring.totalFan, this.minFan)) {
-                            this.winner = p;
-                            this.winInfo = { scoring, selfDrawn: true };
-                            this.state = GAME_STATE.ROUND_END;
-                            this._applyPayment();
-                            if (this.onStateChange) this.onStateChange(this.state);
-                            if (this.onUpdate) this.onUpdate();
-                            return;
-                        }
-                    }
-                }
-                this._finishAITurn(p, hand, ai);
-            }, 800);
+        const others = offers.filter(o => !this.players[o.player].isHuman);
+        const humans = offers.filter(o => this.players[o.player].isHuman);
+        const intents = [];
+        let waiting = others.length;
+        if (waiting === 0) {
+            this._offerClaims(humans, intents, discardTile, fromPlayer);
             return;
         }
+        for (const offer of others) {
+            this._askClaim(offer, offer.actions, discardTile, fromPlayer, action => {
+                if (action) intents.push({ player: offer.player, action });
+                if (--waiting === 0) this._offerClaims(humans, intents, discardTile, fromPlayer);
+            });
+        }
+    }
 
-        this._finishAITurn(p, hand, ai);
+    /**
+     * Offer the discard to the human seats in queue one at a time, each only
+     * the claims that could still take it against those already made.
+     */
+    _offerClaims(queue, intents, discardTile, fromPlayer) {
+        for (let n = 0; n < queue.length; n++) {
+            const offer = queue[n];
+            const actions = offer.actions.filter(action => this._claimPrevails({ player: offer.player, action }, intents, fromPlayer));
+            if (actions.length === 0) continue;
+            this.claimIntents = intents;
+            this.claimQueue = queue.slice(n);
+            this.pendingClaims = actions;
+            this._askClaim(offer, actions, discardTile, fromPlayer, action => {
+                const claimed = action ? [...intents, { player: offer.player, action }] : intents;
+                this._offerClaims(queue.slice(n + 1), claimed, discardTile, fromPlayer);
+            });
+            return;
+        }
+        this._resolveClaims(intents, discardTile, fromPlayer);
     }
 
-    _finishAITurn(p, hand, ai) {
-        const discard = ai.chooseDiscard(hand, {
-            allDiscards: this.getAllDiscards(),
-            roundWind: this.roundWind,
-            seatWind: this.seatWinds[p],
-            players: this.hands.map((h, i) => ({
-                index: i, melds: h.melds, flowers: h.flowers, discardCount: h.discards.length
-            }))
+    /** Ask one seat whether it claims the discard; onAnswer gets one of actions, or null */
+    _askClaim(offer, actions, discardTile, fromPlayer, onAnswer) {
+        this.emit(GAME_EVENT.CLAIM_OFFERED, {
+            player: offer.player, tile: discardTile, from: fromPlayer, actions: actions.slice(), robbingKong: false
         });
-        hand.discard(discard);
-        this.lastDiscard = discard;
-        this.lastDiscardPlayer = p;
-        if (typeof voiceManager !== 'undefined') voiceManager.announceDiscard(discard, this.characters[p].id);
-        this._selfDrawn = false;
-        this._drawnTile = null;
-        this._setExpression(p, EXPR.SMIRK);
-        this._processClaims(discard, p);
+        this._ask(offer.player, 'decideClaim', {
+            tile: discardTile, from: fromPlayer, actions, isNextPlayer: offer.isNextPlayer, robbingKong: false
+        }, answer => onAnswer(actions.includes(answer) ? answer : null));
     }
 
-    _processClaims(discardTile, fromPlayer) {
-        let bestClaim = null;
-        let bestPriority = -1;
+    /** Claims a seat could legally make on a discard */
+    _claimOptions(playerIdx, discardTile, isNextPlayer) {
+        const hand = this.hands[playerIdx];
+        const actions = [];
+        hand.concealed.push(discardTile);
+        hand.sort();
+        if (hand.canWin()) {
+            const ctx = this.getContext(playerIdx);
+            ctx.selfDrawn = false;
+            ctx.winningTile = discardTile;
+            const scoring = Scoring.calculate(hand, ctx);
+            if (Scoring.meetsMinimum(scoring.totalFan, this.minFan)) actions.push('win');
+        }
+        const wIdx = hand.concealed.findIndex(t => t.id === discardTile.id);
+        if (wIdx >= 0) hand.concealed.splice(wIdx, 1);
+        if (hand.canKongFromDiscard(discardTile)) actions.push('kong');
+        if (hand.canPung(discardTile)) actions.push('pung');
+        if (isNextPlayer && hand.canChow(discardTile).length > 0) actions.push('chow');
+        return actions;
+    }
+
+    /** Turn-order distance from the discarder (1 = next player) */
+    _seatDistance(player, fromPlayer) {
+        return (player - fromPlayer + 4) % 4;
+    }
+
+    /** Does this claim take the discard against the others (alone, or alongside them under 一炮多響)? */
+    _claimPrevails(intent, others, fromPlayer) {
+        const rank = CLAIM_PRIORITY[intent.action];
+        return others.every(other => {
+            const otherRank = CLAIM_PRIORITY[other.action];
+            if (otherRank !== rank) return rank > otherRank;
+            if (intent.action === 'win' && this.multipleWinners) return true;
+            return this._seatDistance(intent.player, fromPlayer) < this._seatDistance(other.player, fromPlayer);
+        });
+    }
+
+    /** Carry out the claim(s) that take the discard, or move on if nobody claims */
+    _resolveClaims(intents, discardTile, fromPlayer) {
+        const taken = intents
+            .filter(intent => this._claimPrevails(intent, intents.filter(o => o !== intent), fromPlayer))
+            .sort((a, b) => this._seatDistance(a.player, fromPlayer) - this._seatDistance(b.player, fromPlayer));
+        this.claimIntents = [];
+        this.claimQueue = [];
+        this.pendingClaims = [];
+
+        if (taken.length === 0) {
+            this._advanceTurn();
+        } else if (taken[0].action === 'win') {
+            this._declareDiscardWins(taken.map(c => c.player), discardTile, fromPlayer);
+        } else {
+            const { player, action } = taken[0];
+            this._act(player, () => this._executeClaim(player, action, discardTile, fromPlayer));
+        }
+    }
+
+    /** Announce wins on a discard; unless only humans won, they settle after the usual pause */
+    _declareDiscardWins(players, discardTile, fromPlayer) {
+        if (players.every(p => this.players[p].isHuman)) {
+            this._settleDiscardWins(players, discardTile, fromPlayer);
+            return;
+        }
+        this.state = GAME_STATE.AI_TURN; // Nobody can act while the win is announced
+        this.scheduler.schedule(() => this._settleDiscardWins(players, discardTile, fromPlayer), 'aiAction');
+        this.emit(GAME_EVENT.UPDATED);
+    }
+
+    /**
+     * The nearest winner takes the discard into hand; under 一炮多響 the
+     * others are scored as if holding it, and the discarder pays each.
+     */
+    _settleDiscardWins(players, discardTile, fromPlayer) {
+        const discardHand = this.hands[fromPlayer];
+        const dIdx = discardHand.discards.findIndex(t => t.id === discardTile.id);
+        if (dIdx >= 0) discardHand.discards.splice(dIdx, 1);
+
+        players.forEach((p, n) => {
+            const hand = this.hands[p];
+            hand.addTile(discardTile);
+            const ctx = this.getContext(p);
+            ctx.selfDrawn = false;
+            ctx.winningTile = discardTile;
+            const scoring = Scoring.calculate(hand, ctx);
+            if (n > 0) hand.removeTile(discardTile);
+            this._recordWin(p, { scoring, selfDrawn: false, fromPlayer });
+            this._log('win', {
+                player: p, selfDrawn: false, from: fromPlayer, tile: discardTile.id,
+                ...(n > 0 ? { shared: true } : {}), totalFan: scoring.totalFan
+            });
+        });
 
         for (let i = 0; i < 4; i++) {
-            if (i === fromPlayer) continue;
-            const hand = this.hands[i];
-            const isNextPlayer = ((fromPlayer + 1) % 4) === i;
-            const ctx = this.getContext(i);
-
-            if (i === 0) {
-                const actions = [];
-                hand.concealed.push(discardTile);
-                hand.sort();
-                if (hand.canWin()) {
-                    ctx.selfDrawn = false;
-                    const scoring = Scoring.calculate(hand, ctx);
-                    if (Scoring.meetsMinimum(scoring.totalFan, this.minFan)) actions.push('win');
-                }
-                const wIdx = hand.concealed.findIndex(t => t.id === discardTile.id);
-                if (wIdx >= 0) hand.concealed.splice(wIdx, 1);
-                if (hand.canKongFromDiscard(discardTile)) actions.push('kong');
-                if (hand.canPung(discardTile)) actions.push('pung');
-                if (isNextPlayer && hand.canChow(discardTile).length > 0) actions.push('chow');
-
-                if (actions.length > 0) {
-                    this.pendingClaims = actions;
-                    this.state = GAME_STATE.CLAIMING;
-                    if (this.onStateChange) this.onStateChange(this.state);
-                    if (this.onUpdate) this.onUpdate();
-                    return;
-                }
-            } else {
-                const ai = this.ai[i - 1];
-                const claim = ai.decideClaim(hand, discardTile, isNextPlayer, ctx);
-                if (claim) {
-                    const priority = claim === 'win' ? 3 : (claim === 'kong' || claim === 'pung') ? 2 : 1;
-                    if (priority > bestPriority) {
-                        bestPriority = priority;
-                        bestClaim = { player: i, action: claim };
-                    }
-                }
-            }
+            if (players.includes(i)) this._setExpression(i, EXPR.ECSTATIC);
+            else if (i === fromPlayer) this._setExpression(i, EXPR.ANGRY);
+            else this._setExpression(i, EXPR.SURPRISED);
         }
+        this._endRound();
+    }
 
-        if (bestClaim) {
-            this._executeAIClaim(bestClaim.player, bestClaim.action, discardTile, fromPlayer);
-        } else {
-            this._advanceTurn();
+    /** Record a winning hand; the first one recorded is the head winner (winner / winInfo) */
+    _recordWin(player, info) {
+        if (this.wins.length === 0) {
+            this.winner = player;
+            this.winInfo = info;
         }
+        this.wins.push({ player, info });
     }
 
-    _executeAIClaim(playerIdx, action, discardTile, fromPlayer) {
-        if (typeof voiceManager !== 'undefined') {
-            const charId = this.characters[playerIdx].id;
-            if (action === 'win') voiceManager.announceAction('winByDiscard', charId);
-            else if (action === 'pung') voiceManager.announceAction('pung', charId);
-            else if (action === 'chow') voiceManager.announceAction('chow', charId);
-            else if (action === 'kong') voiceManager.announceAction('kong', charId);
-        }
-
-        setTimeout(() => {
-            const hand = this.hands[playerIdx];
-            if (!hand) return;
-            const ai = this.ai[playerIdx - 1];
-            const discardHand = this.hands[fromPlayer];
-            const dIdx = discardHand.discards.findIndex(t => t.id === discardTile.id);
-            if (dIdx >= 0) discardHand.discards.splice(dIdx, 1);
-
-            if (action === 'win') {
-                hand.addTile(discardTile);
-                const ctx = this.getContext(playerIdx);
-                ctx.selfDrawn = false;
-                const scoring = Scoring.calculate(hand, ctx);
-                this.winner = playerIdx;
-                this.winInfo = { scoring, selfDrawn: false, fromPlayer };
-                this.state = GAME_STATE.ROUND_END;
-                this._setExpression(playerIdx, EXPR.ECSTATIC);
-                this._setExpression(fromPlayer, EXPR.ANGRY);
-                for (let i = 0; i < 4; i++) {
-                    if (i !== playerIdx && i !== fromPlayer) this._setExpression(i, EXPR.SURPRISED);
-                }
-                this._applyPayment();
-                if (this.onStateChange) this.onStateChange(this.state);
-                if (this.onUpdate) this.onUpdate();
-                return;
-            } else if (action === 'pung') {
-                hand.doPung(discardTile);
-                hand.melds[hand.melds.length - 1].fromPlayer = fromPlayer;
-                this._setExpression(playerIdx, EXPR.HAPPY);
-                this._setExpression(fromPlayer, EXPR.SURPRISED);
-                const discard = ai.chooseDiscard(hand, {
-                    allDiscards: this.getAllDiscards(),
-                    roundWind: this.roundWind,
-                    seatWind: this.seatWinds[playerIdx],
-                    players: this.hands.map((h, i) => ({
-                        index: i, melds: h.melds, flowers: h.flowers, discardCount: h.discards.length
-                    }))
-                });
-                hand.discard(discard);
-                if (typeof voiceManager !== 'undefined') voiceManager.announceDiscard(discard, this.characters[playerIdx].id);
-                this.lastDiscard = discard;
-                this.lastDiscardPlayer = playerIdx;
-                this._processClaims(discard, playerIdx);
-                return;
-            } else if (action === 'chow') {
-                const combos = hand.canChow(discardTile);
-                const combo = ai.chooseChowCombo(combos);
-                hand.doChow(discardTile, combo);
-                hand.melds[hand.melds.length - 1].fromPlayer = fromPlayer;
-                this._setExpression(playerIdx, EXPR.HAPPY);
-                this._setExpression(fromPlayer, EXPR.SURPRISED);
-                const discard = ai.chooseDiscard(hand, {
-                    allDiscards: this.getAllDiscards(),
-                    roundWind: this.roundWind,
-                    seatWind: this.seatWinds[playerIdx],
-                    players: this.hands.map((h, i) => ({
-                        index: i, melds: h.melds, flowers: h.flowers, discardCount: h.discards.length
-                    }))
-                });
-                hand.discard(discard);
-                if (typeof voiceManager !== 'undefined') voiceManager.announceDiscard(discard, this.characters[playerIdx].id);
-                this.lastDiscard = discard;
-                this.lastDiscardPlayer = playerIdx;
-                this._processClaims(discard, playerIdx);
-                return;
-            } else if (action === 'kong') {
-                hand.doKongExposed(discardTile);
-                hand.melds[hand.melds.length - 1].fromPlayer = fromPlayer;
-                this._setExpression(playerIdx, EXPR.HAPPY);
-                this._setExpression(fromPlayer, EXPR.SURPRISED);
-                const replacement = this.wall.drawFromDeadWall();
-                if (replacement) {
-                    hand.addTile(replacement);
-                    this._handleFlowerBloom(playerIdx);
-                    if (hand.canWin()) {
-                        const ctx = this.getContext(playerIdx);
-                        ctx.selfDrawn = true;
-                        ctx.isKongDraw = true;
-                        const scoring = Scoring.calculate(hand, ctx);
-                        if (Scoring.meetsMinimum(scoring.totalFan, this.minFan)) {
-                            this.winner = playerIdx;
-                            this.winInfo = { scoring, selfDrawn: true };
-                            this.state = GAME_STATE.ROUND_END;
-                            this._applyPayment();
-                            if (this.onStateChange) this.onStateChange(this.state);
-                            if (this.onUpdate) this.onUpdate();
-                            return;
-                        }
-                    }
-                }
-                this._validateHandSize(playerIdx, 'before_discard');
-                const discard = ai.chooseDiscard(hand, {
-                    allDiscards: this.getAllDiscards(), roundWind: this.roundWind, seatWind: this.seatWinds[playerIdx],
-                    players: this.hands.map((h, i) => ({
-                        index: i, melds: h.melds, flowers: h.flowers, discardCount: h.discards.length
-                    }))
-                });
-                hand.discard(discard);
-                if (typeof voiceManager !== 'undefined') voiceManager.announceDiscard(discard, this.characters[playerIdx].id);
-                this.lastDiscard = discard;
-                this.lastDiscardPlayer = playerIdx;
-                this._processClaims(discard, playerIdx);
-            }
-        }, 800);
-        if (this.onUpdate) this.onUpdate();
+    /** Seat p claims the discard into a chow (asking which one), pung or exposed kong */
+    _executeClaim(p, action, discardTile, fromPlayer) {
+        if (action !== 'chow') {
+            this._takeDiscard(p, action, discardTile, fromPlayer, null);
+            return;
+        }
+        const combos = this.hands[p].canChow(discardTile);
+        this._ask(p, 'chooseChowCombo', { tile: discardTile, combos }, answer => {
+            const combo = answer && combos.find(c => c[0] === answer[0] && c[1] === answer[1]);
+            if (combo) this._takeDiscard(p, action, discardTile, fromPlayer, combo);
+            else this._executeClaim(p, action, discardTile, fromPlayer); // Not one of the combos: ask again
+        });
+    }
+
+    /** Make the claimed meld, then carry on: a kong draws its replacement, a chow or pung discards */
+    _takeDiscard(p, action, discardTile, fromPlayer, combo) {
+        const hand = this.hands[p];
+        const discardHand = this.hands[fromPlayer];
+        const dIdx = discardHand.discards.findIndex(t => t.id === discardTile.id);
+        if (dIdx >= 0) discardHand.discards.splice(dIdx, 1);
+
+        if (action === 'kong') hand.doKongExposed(discardTile);
+        else if (action === 'pung') hand.doPung(discardTile);
+        else hand.doChow(discardTile, combo);
+        hand.melds[hand.melds.length - 1].fromPlayer = fromPlayer;
+        this._logClaim(p, hand, discardTile, fromPlayer);
+        this._setExpression(p, EXPR.HAPPY);
+        this._setExpression(fromPlayer, EXPR.SURPRISED);
+
+        this.currentPlayer = p;
+        if (action === 'kong') this._afterKong(p);
+        else this._decideTurn(p);
     }
 
     _advanceTurn() {
-        this.currentPlayer = (this.lastDiscardPlayer + 1) % 4;
         this.turnCount++;
-        this.state = (this.currentPlayer === 0) ? GAME_STATE.PLAYER_TURN : GAME_STATE.AI_TURN;
-        if (this.onStateChange) this.onStateChange(this.state);
-        if (this.onUpdate) this.onUpdate();
+        this._beginTurn((this.lastDiscardPlayer + 1) % 4);
+    }
+
+    /** Queue the current AI's turn on the scheduler (no-op unless it is an AI's turn) */
+    _scheduleAITurn() {
+        if (this.state === GAME_STATE.AI_TURN) {
+            this.scheduler.schedule(() => this.processAITurn(), 'aiTurn');
+        }
+    }
+
+    /** Leave the match: cancel every pending AI action and return to the menu */
+    abandon() {
+        this.scheduler.cancelAll();
+        this._epoch++;
+        this.state = GAME_STATE.MENU;
     }
 
     _handleDraw() {
         this.winner = -1;
         this.winInfo = null;
-        this.state = GAME_STATE.ROUND_END;
+        this.wins = [];
+        this._log('exhausted');
         for (let i = 0; i < 4; i++) this._setExpression(i, EXPR.WORRIED);
+        this._endRound();
+    }
+
+    /** The round is over (win or 荒莊): tell subscribers, settle up, then change state */
+    _endRound() {
+        this.state = GAME_STATE.ROUND_END;
+        if (this.wins.length > 0) this.emit(GAME_EVENT.ROUND_WON, { wins: this.wins.slice() });
+        else this.emit(GAME_EVENT.ROUND_DRAWN);
         this._applyPayment();
-        if (this.onStateChange) this.onStateChange(this.state);
-        if (this.onUpdate) this.onUpdate();
+        this.emit(GAME_EVENT.STATE_CHANGED, { state: this.state });
+        this.emit(GAME_EVENT.UPDATED);
     }
 
     _applyPayment() {
         this.paymentInfo = Scoring.calculatePayment(this);
         for (let i = 0; i < 4; i++) this.scores[i] += this.paymentInfo.deltas[i];
+        this._log('payment', { deltas: this.paymentInfo.deltas.slice(), scores: this.scores.slice() });
         this.totalRounds++;
+        this.emit(GAME_EVENT.PAYMENT_APPLIED, { ...this.paymentInfo, scores: this.scores.slice() });
+    }
+
+    // ===================== Action Log =====================
+
+    /** Append an event to this round's log. Tiles are recorded by id. */
+    _log(type, data = {}) {
+        const event = { type, turn: this.turnCount, ...data };
+        this.roundLog.push(event);
+        this._checkInvariants(event);
+    }
+
+    /**
+     * Every move of a tile is logged, so each log entry is a point where
+     * the tiles must add up. Debug mode throws; otherwise the first
+     * violation of a round is emitted and play carries on.
+     */
+    _checkInvariants(event) {
+        const violations = Invariants.check(this);
+        if (violations.length === 0) return;
+        const error = new InvariantError(violations, event);
+        if (this.debug) throw error;
+        if (this._invariantReported) return;
+        this._invariantReported = true;
+        this.emit(GAME_EVENT.INVARIANT_VIOLATED, { error });
+    }
+
+    /** Log and announce a tile drawn from the live wall or as a replacement ('dead') */
+    _logDraw(player, tile, source) {
+        this._log('draw', { player, tile: tile.id, source });
+        this.emit(GAME_EVENT.TILE_DRAWN, { player, tile, source });
+    }
+
+    /** Log and announce a discard */
+    _logDiscard(player, tile) {
+        this._log('discard', { player, tile: tile.id });
+        this.emit(GAME_EVENT.TILE_DISCARDED, { player, tile });
+    }
+
+    /** Log and announce a chow/pung/exposed kong just made from a discard (the hand's newest meld) */
+    _logClaim(player, hand, tile, fromPlayer) {
+        const meld = hand.melds[hand.melds.length - 1];
+        this._log('claim', {
+            player, from: fromPlayer, tile: tile.id, meldType: meld.type, tiles: meld.tiles.map(t => t.id)
+        });
+        this.emit(GAME_EVENT.MELD_DECLARED, { player, meld, from: fromPlayer });
+    }
+
+    /** Log and announce a concealed or added kong declared from hand */
+    _logKong(player, hand, type, key) {
+        const meld = hand.melds.find(m => m.tiles[0].key === key && m.tiles.length === 4);
+        this._log('kong', { player, kongType: type, key, tiles: meld ? meld.tiles.map(t => t.id) : [] });
+        this.emit(GAME_EVENT.MELD_DECLARED, { player, meld, from: -1 });
     }
 
     _setExpression(playerIdx, expr) {
@@ -695,25 +1148,179 @@ class Game {
         }
     }
 
+    // ===================== Save / Resume =====================
+
+    /** Snapshot of the whole match, safe to JSON.stringify */
+    toJSON() {
+        return {
+            version: SAVE_VERSION,
+            settings: {
+                difficulty: this.difficulty,
+                matchFormat: this.matchFormat,
+                seatDraw: this.seatDraw,
+                tileTheme: this.tileTheme,
+                rules: this.rules.toJSON(),
+                playerCharIndex: this.playerCharIndex,
+                fixedSeed: this.fixedSeed,
+                seatTypes: this.seatTypes.slice()
+            },
+            seed: this.seed,
+            rng: this.rng.toJSON(),
+            roundRng: this.roundRng ? this.roundRng.toJSON() : null,
+            players: this.players.map(p => p.toJSON()),
+            state: this.state,
+            currentPlayer: this.currentPlayer,
+            dealerIndex: this.dealerIndex,
+            roundWind: this.roundWind,
+            roundNumber: this.roundNumber,
+            dealerStreak: this.dealerStreak,
+            seatWinds: this.seatWinds.slice(),
+            totalRounds: this.totalRounds,
+            scores: this.scores.slice(),
+            lastDiscard: this.lastDiscard ? this.lastDiscard.id : null,
+            lastDiscardPlayer: this.lastDiscardPlayer,
+            turnCount: this.turnCount,
+            winner: this.winner,
+            winInfo: this.winInfo,
+            wins: this.wins,
+            paymentInfo: this.paymentInfo,
+            pendingClaims: this.pendingClaims.slice(),
+            claimIntents: this.claimIntents.map(c => ({ ...c })),
+            claimQueue: this.claimQueue.map(c => ({ ...c, actions: c.actions.slice() })),
+            pendingRob: this.pendingRob ? { ...this.pendingRob, tile: this.pendingRob.tile.id } : null,
+            selfDrawn: this._selfDrawn,
+            isKongDraw: this._isKongDraw,
+            isFlowerDraw: this._isFlowerDraw,
+            drawnTile: this._drawnTile ? this._drawnTile.id : null,
+            diceResults: this.diceResults.slice(),
+            diceRolled: this.diceRolled,
+            seatOrder: this.seatOrder.slice(),
+            diceRoller: this.diceRoller,
+            breakDice: this.breakDice.slice(),
+            wall: this.wall.toJSON(),
+            hands: this.hands.map(h => h.toJSON()),
+            roundLog: this.roundLog.slice()
+        };
+    }
+
+    /**
+     * Restore this game in place from toJSON() output.
+     * Subscribers are kept; the caller re-triggers them to resume play.
+     * Throws if the save is from another version of the format.
+     */
+    loadJSON(data) {
+        if (data.version !== SAVE_VERSION) {
+            throw new Error(`Save format version ${data.version} is not ${SAVE_VERSION}`);
+        }
+        const lookup = createTileLookup();
+        const { rules, ...settings } = data.settings;
+        Object.assign(this, settings);
+        this.seatTypes = settings.seatTypes.slice();
+        this.seatOrder = data.seatOrder.slice();
+        this.diceRoller = data.diceRoller;
+        this.rules = RuleSet.fromJSON(rules);
+        this._seatCharacters();
+
+        this.seed = data.seed;
+        this.rng = Random.fromJSON(data.rng);
+        this.roundRng = data.roundRng ? Random.fromJSON(data.roundRng) : null;
+        this._epoch++;
+        this.players = data.players.map(p => Player.fromJSON(p, this.difficulty));
+
+        this.state = data.state;
+        this.currentPlayer = data.currentPlayer;
+        this.dealerIndex = data.dealerIndex;
+        this.roundWind = data.roundWind;
+        this.roundNumber = data.roundNumber;
+        this.dealerStreak = data.dealerStreak;
+        this.seatWinds = data.seatWinds.slice();
+        this.totalRounds = data.totalRounds;
+        this.scores = data.scores.slice();
+        this.lastDiscard = data.lastDiscard !== null ? lookup[data.lastDiscard] : null;
+        this.lastDiscardPlayer = data.lastDiscardPlayer;
+        this.turnCount = data.turnCount;
+        this.winner = data.winner;
+        this.winInfo = data.winInfo;
+        this.wins = data.wins;
+        this.paymentInfo = data.paymentInfo;
+        this.pendingClaims = data.pendingClaims.slice();
+        this.claimIntents = data.claimIntents.map(c => ({ ...c }));
+        this.claimQueue = data.claimQueue.map(c => ({ ...c, actions: c.actions.slice() }));
+        this.pendingRob = data.pendingRob ? { ...data.pendingRob, tile: lookup[data.pendingRob.tile] } : null;
+        this._selfDrawn = data.selfDrawn;
+        this._isKongDraw = data.isKongDraw;
+        this._isFlowerDraw = data.isFlowerDraw;
+        this._drawnTile = data.drawnTile !== null ? lookup[data.drawnTile] : null;
+        this.diceResults = data.diceResults.slice();
+        this.diceRolled = data.diceRolled;
+        this.breakDice = data.breakDice.slice();
+        this.wall = Wall.fromJSON(data.wall, lookup);
+        this.hands = data.hands.map(h => Hand.fromJSON(h, lookup));
+        for (const hand of this.hands) hand.allowSevenPairs = this.rules.sevenPairs;
+        this.roundLog = data.roundLog.slice();
+        return this;
+    }
+
+    /** Re-emit state events for a restored game and put its pending question to the player again */
+    resume() {
+        this.scheduler.cancelAll();
+        this._epoch++;
+        this.emit(GAME_EVENT.STATE_CHANGED, { state: this.state });
+        this.emit(GAME_EVENT.UPDATED);
+        const current = this.currentPlayer;
+        if (this.state === GAME_STATE.PLAYER_DISCARD) {
+            this._decideTurn(current);
+        } else if (this.state === GAME_STATE.CLAIMING) {
+            if (this.pendingRob) this._checkRobKong(this.pendingRob.offset);
+            else this._offerClaims(this.claimQueue, this.claimIntents, this.lastDiscard, this.lastDiscardPlayer);
+        } else if (this.state === GAME_STATE.AI_TURN && this.pendingRob) {
+            this._checkRobKong(this.pendingRob.offset); // A rob was being announced
+        } else if (this.state === GAME_STATE.AI_TURN && this.lastDiscardPlayer === current &&
+                Invariants.handSize(this.hands[current]) < WINNING_HAND_SIZE) {
+            this._processClaims(this.lastDiscard, current); // A claim on the discard was being announced
+        } else {
+            this._scheduleAITurn();
+        }
+    }
+
+    static fromJSON(data, options) {
+        return new Game(options).loadJSON(data);
+    }
+
+    /** Does the deal stay with the dealer after this round (dealer won, or 荒莊 under that rule)? */
+    _dealerKeepsDeal() {
+        if (this.wins.length === 0) return this.rules.drawKeepsDeal;
+        return this.wins.some(w => w.player === this.dealerIndex);
+    }
+
+    /**
+     * Will nextRound() end the match? True once a player is bankrupt, or when
+     * the last deal of the final 圈 passes on from its dealer.
+     */
+    isMatchOver() {
+        if (this.scores.some(s => s <= 0)) return true;
+        return this.roundWind >= this.match.winds && this.roundNumber === 3 && !this._dealerKeepsDeal();
+    }
+
     nextRound() {
-        if (this.scores.some(s => s <= 0) || this.totalRounds >= this.maxRounds) {
+        this.scheduler.cancelAll();
+        if (this.isMatchOver()) {
             this.state = GAME_STATE.GAME_END;
-            if (this.onStateChange) this.onStateChange(this.state);
-            if (this.onUpdate) this.onUpdate();
+            this.emit(GAME_EVENT.GAME_ENDED, { scores: this.scores.slice() });
+            this.emit(GAME_EVENT.STATE_CHANGED, { state: this.state });
+            this.emit(GAME_EVENT.UPDATED);
             return;
         }
-        if (this.winner !== this.dealerIndex) {
+        if (this._dealerKeepsDeal()) {
+            this.dealerStreak++;
+        } else {
+            // The deal passes on; after four deals the next 圈 begins
+            this.dealerStreak = 0;
             this.dealerIndex = (this.dealerIndex + 1) % 4;
             this.roundNumber++;
             if (this.roundNumber >= 4) {
                 this.roundNumber = 0;
-                if (this.roundWind < WINDS.NORTH) this.roundWind++;
-                else {
-                    this.state = GAME_STATE.GAME_END;
-                    if (this.onStateChange) this.onStateChange(this.state);
-                    if (this.onUpdate) this.onUpdate();
-                    return;
-                }
+                this.roundWind++;
             }
         }
         this.startRound();
@@ -2,6 +2,9 @@
 // hand.js — Hand management & win detection
 // ============================================================
 
+// Shanten splits of one suit's tile counts, shared by every hand (see Hand._suitSplits)
+const SHANTEN_SPLITS = new Map();
+
 class Hand {
     constructor(playerIndex) {
         this.playerIndex = playerIndex;
@@ -9,6 +12,7 @@ class Hand {
         this.melds = [];        // { type, tiles[] }
         this.flowers = [];      // Tile[] — exposed flowers/seasons
         this.discards = [];     // Tile[] — this player's discard pile
+        this.allowSevenPairs = true; // House rule (RuleSet.sevenPairs), set by Game
     }
 
     reset() {
@@ -69,6 +73,40 @@ class Hand {
         return this.concealed.filter(t => t.key === key);
     }
 
+    // ===================== Serialization =====================
+
+    toJSON() {
+        return {
+            playerIndex: this.playerIndex,
+            concealed: this.concealed.map(t => t.id),
+            melds: this.melds.map(m => ({
+                type: m.type,
+                tiles: m.tiles.map(t => t.id),
+                fromPlayer: m.fromPlayer
+            })),
+            flowers: this.flowers.map(t => t.id),
+            discards: this.discards.map(t => t.id)
+        };
+    }
+
+    /**
+     * Restore a hand saved with toJSON()
+     * @param {Object} data
+     * @param {Tile[]} lookup — from createTileLookup()
+     */
+    static fromJSON(data, lookup) {
+        const hand = new Hand(data.playerIndex);
+        hand.concealed = data.concealed.map(id => lookup[id]);
+        hand.melds = data.melds.map(m => {
+            const meld = { type: m.type, tiles: m.tiles.map(id => lookup[id]) };
+            if (m.fromPlayer !== undefined) meld.fromPlayer = m.fromPlayer;
+            return meld;
+        });
+        hand.flowers = data.flowers.map(id => lookup[id]);
+        hand.discards = data.discards.map(id => lookup[id]);
+        return hand;
+    }
+
     // ===================== Claim Checks =====================
 
     /** Can this player Pung the given discarded tile? */
@@ -197,6 +235,203 @@ class Hand {
         }
     }
 
+    // ===================== Waits (聽牌) =====================
+
+    /**
+     * Tiles that would complete this hand, checked one short of a win (13 tiles).
+     * Kinds the hand already holds all four of are never waits.
+     * @param {Object} [context] — Scoring context; each wait is scored as a discard win unless selfDrawn is set
+     * @param {Tile[]} [visible] — tiles seen outside this hand (discards, other players' exposed melds)
+     * @returns {{ key: string, tile: Tile, unseen: number, fan: number }[]} empty if not ready
+     */
+    getWaits(context = {}, visible = []) {
+        if (this.concealed.length % 3 !== 1) return [];
+        const waits = [];
+        for (const key of createTileKeys()) {
+            if (this.countUnseen(key) === 0) continue; // All four copies already held
+            const tile = Tile.fromKey(key);
+            this.concealed.push(tile);
+            this.sort();
+            const fan = this.canWin() ? Scoring.calculate(this, { selfDrawn: false, ...context, winningTile: tile }).totalFan : -1;
+            this.removeTile(tile);
+            if (fan >= 0) waits.push({ key, tile, unseen: this.countUnseen(key, visible), fan });
+        }
+        return waits;
+    }
+
+    /** How many of a tile kind are neither in this hand nor among the visible tiles */
+    countUnseen(key, visible = []) {
+        let seen = this.countByKey(key) + visible.filter(t => t.key === key).length;
+        for (const m of this.melds) seen += m.tiles.filter(t => t.key === key).length;
+        return Math.max(0, 4 - seen);
+    }
+
+    // ===================== Shanten (向聽數) =====================
+
+    /**
+     * Tiles away from ready: 0 = ready (聽牌), -1 = already a winning hand.
+     * Exposed melds count as complete sets. Shapes that can't apply are Infinity.
+     * @returns {{ shanten: number, standard: number, sevenPairs: number, thirteenOrphans: number }}
+     */
+    getShanten() {
+        const counts = this._kindCounts();
+        const standard = Hand._standardShanten(counts, this.melds.length);
+        const sevenPairs = this.melds.length === 0 && this.allowSevenPairs ? Hand._sevenPairsShanten(counts) : Infinity;
+        const thirteenOrphans = this.melds.length === 0 ? Hand._thirteenOrphansShanten(counts) : Infinity;
+        return { shanten: Math.min(standard, sevenPairs, thirteenOrphans), standard, sevenPairs, thirteenOrphans };
+    }
+
+    /**
+     * Tiles that would bring a 13-tile hand closer to winning (ukeire).
+     * @param {Tile[]} [visible] — tiles seen outside this hand, for unseen counts
+     * @returns {{ shanten: number, tiles: { key, tile, unseen }[], total: number }}
+     */
+    getAcceptance(visible = []) {
+        const counts = this._kindCounts();
+        const shanten = this._shantenOf(counts);
+        const tiles = this._acceptingKeys(counts, shanten).map(key => ({
+            key, tile: Tile.fromKey(key), unseen: this.countUnseen(key, visible)
+        }));
+        return { shanten, tiles, total: tiles.reduce((n, t) => n + t.unseen, 0) };
+    }
+
+    /**
+     * For a 14-tile hand: every possible discard with the shanten it leaves and
+     * the tiles that would then improve it. Best first (lowest shanten, widest acceptance).
+     * @param {Tile[]} [visible] — tiles seen outside this hand
+     * @returns {{ tile: Tile, shanten: number, tiles: { key, tile, unseen }[], total: number }[]}
+     */
+    getDiscardAnalysis(visible = []) {
+        const counts = this._kindCounts();
+        const results = [];
+        const firstOfKind = new Map();
+        for (const t of this.concealed) {
+            if (!firstOfKind.has(t.key)) firstOfKind.set(t.key, t);
+        }
+        for (const discard of firstOfKind.values()) {
+            counts[discard.key]--;
+            const shanten = this._shantenOf(counts);
+            // The hand is left as it is: the discard still counts as seen once, as it will on the table
+            const tiles = this._acceptingKeys(counts, shanten).map(key => ({
+                key, tile: Tile.fromKey(key), unseen: this.countUnseen(key, visible)
+            }));
+            counts[discard.key]++;
+            results.push({ tile: discard, shanten, tiles, total: tiles.reduce((n, t) => n + t.unseen, 0) });
+        }
+        return results.sort((a, b) => a.shanten - b.shanten || b.total - a.total);
+    }
+
+    /** Concealed tile counts by key */
+    _kindCounts() {
+        const counts = {};
+        for (const t of this.concealed) counts[t.key] = (counts[t.key] || 0) + 1;
+        return counts;
+    }
+
+    _shantenOf(counts) {
+        let shanten = Hand._standardShanten(counts, this.melds.length);
+        if (this.melds.length === 0) {
+            shanten = Math.min(shanten, Hand._thirteenOrphansShanten(counts));
+            if (this.allowSevenPairs) shanten = Math.min(shanten, Hand._sevenPairsShanten(counts));
+        }
+        return shanten;
+    }
+
+    /** Keys that lower the shanten of counts when drawn (skipping kinds already all held) */
+    _acceptingKeys(counts, shanten) {
+        const keys = [];
+        for (const key of createTileKeys()) {
+            if (this.countUnseen(key) === 0) continue;
+            counts[key] = (counts[key] || 0) + 1;
+            if (this._shantenOf(counts) < shanten) keys.push(key);
+            counts[key]--;
+        }
+        return keys;
+    }
+
+    /** Standard shape: 8 − 2·sets − partials − pair, using at most 4 sets + partials */
+    static _standardShanten(counts, meldCount) {
+        // Combine per-suit splits, tracking (sets, partials, pairs)
+        let combos = [[meldCount, 0, 0]];
+        for (const suit of [SUITS.WAN, SUITS.TUNG, SUITS.SOK, SUITS.WIND, SUITS.DRAGON]) {
+            const size = suit === SUITS.WIND ? 4 : suit === SUITS.DRAGON ? 3 : 9;
+            const arr = [];
+            for (let v = 1; v <= size; v++) arr.push(counts[`${suit}_${v}`] || 0);
+            const splits = Hand._suitSplits(arr, suit === SUITS.WIND || suit === SUITS.DRAGON);
+            const next = new Map();
+            for (const [m, t, p] of combos) {
+                for (const [sm, st, sp] of splits) {
+                    const c = [Math.min(m + sm, 4), Math.min(t + st, 8), Math.min(p + sp, 8)];
+                    next.set(c.join(','), c);
+                }
+            }
+            combos = [...next.values()];
+        }
+
+        let best = 8;
+        for (const [m, t, p] of combos) {
+            const head = p > 0 ? 1 : 0;
+            const partials = Math.min(t + p - head, 4 - m);
+            best = Math.min(best, 8 - 2 * m - partials - head);
+        }
+        return best;
+    }
+
+    /**
+     * Every undominated way to split one suit into (sets, non-pair partials, pairs).
+     * Honours only form pungs and pairs. Memoised by count pattern.
+     */
+    static _suitSplits(arr, isHonour) {
+        const memoKey = (isHonour ? 'h' : 'n') + arr.join('');
+        if (SHANTEN_SPLITS.has(memoKey)) return SHANTEN_SPLITS.get(memoKey);
+
+        const i = arr.findIndex(c => c > 0);
+        let results = [];
+        if (i < 0) {
+            results = [[0, 0, 0]];
+        } else {
+            const tryShape = (take, dm, dt, dp) => {
+                const rest = arr.slice();
+                for (const [idx, n] of take) {
+                    if (idx >= rest.length || rest[idx] < n) return;
+                    rest[idx] -= n;
+                }
+                for (const [m, t, p] of Hand._suitSplits(rest, isHonour)) results.push([m + dm, t + dt, p + dp]);
+            };
+            tryShape([[i, 3]], 1, 0, 0);                        // pung
+            tryShape([[i, 2]], 0, 0, 1);                        // pair
+            if (!isHonour) {
+                tryShape([[i, 1], [i + 1, 1], [i + 2, 1]], 1, 0, 0); // chow
+                tryShape([[i, 1], [i + 1, 1]], 0, 1, 0);            // two-sided / edge wait
+                tryShape([[i, 1], [i + 2, 1]], 0, 1, 0);            // closed wait
+            }
+            tryShape([[i, 1]], 0, 0, 0);                        // isolated tile
+            results = results.filter(a => !results.some(b => b !== a &&
+                b[0] >= a[0] && b[1] >= a[1] && b[2] >= a[2] &&
+                (b[0] > a[0] || b[1] > a[1] || b[2] > a[2])));
+            results = [...new Map(results.map(r => [r.join(','), r])).values()];
+        }
+        SHANTEN_SPLITS.set(memoKey, results);
+        return results;
+    }
+
+    /** Seven pairs: 6 − pairs, plus one for each kind short of seven */
+    static _sevenPairsShanten(counts) {
+        const kinds = Object.values(counts).filter(c => c > 0);
+        const pairs = kinds.filter(c => c >= 2).length;
+        return 6 - pairs + Math.max(0, 7 - kinds.length);
+    }
+
+    /** Thirteen orphans: 13 − distinct terminals/honours − one if any is paired */
+    static _thirteenOrphansShanten(counts) {
+        const orphans = [
+            'wan_1', 'wan_9', 'tung_1', 'tung_9', 'sok_1', 'sok_9',
+            'wind_1', 'wind_2', 'wind_3', 'wind_4', 'dragon_1', 'dragon_2', 'dragon_3'
+        ];
+        const held = orphans.filter(k => counts[k] > 0);
+        return 13 - held.length - (held.some(k => counts[k] >= 2) ? 1 : 0);
+    }
+
     // ===================== Win Detection =====================
 
     /** Get all tiles (concealed + unrolled melds) for win checking */
@@ -214,7 +449,7 @@ class Hand {
         // Standard win: sets + pair
         if (this._checkStandardWin(tiles)) return true;
         // Seven Pairs (七對子): only if no melds and 14 concealed tiles
-        if (this.melds.length === 0 && tiles.length === 14 && this._checkSevenPairs(tiles)) return true;
+        if (this.allowSevenPairs && this.melds.length === 0 && tiles.length === 14 && this._checkSevenPairs(tiles)) return true;
         // Thirteen Orphans (十三么)
         if (this.melds.length === 0 && tiles.length === 14 && this._checkThirteenOrphans(tiles)) return true;
         return false;
@@ -318,36 +553,51 @@ class Hand {
     }
 
     /**
-     * Get the decomposition of a winning hand for scoring.
-     * Returns { pairs: [key], sets: [{type, tiles/key, suit, startVal}] } or null
+     * Every way to read a winning hand, for scoring to pick the best.
+     * Each is { pair, sets: [{type, key, suit, value}], melds: [{type, key}] },
+     * or { special: 'seven_pairs' | 'thirteen_orphans', tiles, ... }. Empty if not a win.
      */
-    getWinDecomposition() {
+    getWinDecompositions() {
         const tiles = this.concealed.slice();
-        // Try Seven Pairs
-        if (this.melds.length === 0 && tiles.length === 14 && this._checkSevenPairs(tiles)) {
-            return { special: 'seven_pairs', tiles };
-        }
-        // Try Thirteen Orphans
-        if (this.melds.length === 0 && tiles.length === 14 && this._checkThirteenOrphans(tiles)) {
-            return { special: 'thirteen_orphans', tiles };
+        const results = [];
+        const melds = this.melds.map(m => ({ type: m.type, key: m.tiles[0].key }));
+        if (this.melds.length === 0 && tiles.length === 14) {
+            if (this._checkThirteenOrphans(tiles)) {
+                const pair = tiles.find(t => tiles.filter(o => o.key === t.key).length === 2).key;
+                results.push({ special: 'thirteen_orphans', tiles, pair });
+            }
+            if (this.allowSevenPairs && this._checkSevenPairs(tiles)) {
+                const pairs = [...new Set(tiles.map(t => t.key))];
+                results.push({ special: 'seven_pairs', tiles, pairs });
+            }
         }
-        // Standard decomposition
+        // Standard readings (sets + pair); the same sets reached by a different path are kept once
         const groups = {};
         for (const t of tiles) {
             groups[t.key] = (groups[t.key] || 0) + 1;
         }
-        const result = { pair: null, sets: [] };
-        if (this._decompose(groups, Object.keys(groups), 0, result)) {
-            // Include exposed melds
-            result.melds = this.melds.slice();
-            return result;
-        }
-        return null;
+        const seen = new Set();
+        this._decomposeAll(groups, Object.keys(groups), 0, { pair: null, sets: [] }, reading => {
+            const sig = reading.pair + '|' + reading.sets.map(x => x.type + x.key).sort().join(',');
+            if (seen.has(sig)) return;
+            seen.add(sig);
+            results.push({ pair: reading.pair, sets: reading.sets.slice(), melds });
+        });
+        return results;
+    }
+
+    /** First reading of a winning hand, or null (Scoring.calculate picks among all of them) */
+    getWinDecomposition() {
+        return this.getWinDecompositions()[0] || null;
     }
 
-    _decompose(groups, keys, keyIdx, result) {
+    /** Recursive: call found(result) for every split of groups into sets + exactly 1 pair */
+    _decomposeAll(groups, keys, keyIdx, result, found) {
         while (keyIdx < keys.length && groups[keys[keyIdx]] === 0) keyIdx++;
-        if (keyIdx >= keys.length) return result.pair !== null;
+        if (keyIdx >= keys.length) {
+            if (result.pair !== null) found(result);
+            return;
+        }
 
         const key = keys[keyIdx];
         const count = groups[key];
@@ -359,10 +609,7 @@ class Hand {
         if (result.pair === null && count >= 2) {
             groups[key] -= 2;
             result.pair = key;
-            if (this._decompose(groups, keys, keyIdx, result)) {
-                groups[key] += 2;
-                return true;
-            }
+            this._decomposeAll(groups, keys, keyIdx, result, found);
             result.pair = null;
             groups[key] += 2;
         }
@@ -371,10 +618,7 @@ class Hand {
         if (count >= 3) {
             groups[key] -= 3;
             result.sets.push({ type: 'pung', key, suit, value });
-            if (this._decompose(groups, keys, keyIdx, result)) {
-                groups[key] += 3;
-                return true;
-            }
+            this._decomposeAll(groups, keys, keyIdx, result, found);
             result.sets.pop();
             groups[key] += 3;
         }
@@ -389,12 +633,7 @@ class Hand {
                     groups[k2]--;
                     groups[k3]--;
                     result.sets.push({ type: 'chow', key, suit, value });
-                    if (this._decompose(groups, keys, keyIdx, result)) {
-                        groups[key]++;
-                        groups[k2]++;
-                        groups[k3]++;
-                        return true;
-                    }
+                    this._decomposeAll(groups, keys, keyIdx, result, found);
                     result.sets.pop();
                     groups[key]++;
                     groups[k2]++;
@@ -402,7 +641,5 @@ class Hand {
                 }
             }
         }
-
-        return false;
     }
 }
@@ -0,0 +1,81 @@
+// ============================================================
+// invariants.js — Tile conservation & hand-size checks
+// ============================================================
+//
+// Game checks these after every event it logs. Each of the 144 tiles must
+// be in exactly one place (live wall, dead wall, a hand, a meld, a flower
+// row or a discard pile), and every hand must hold 13 tiles — 14 for the
+// one player who has drawn or claimed and still has to discard. A kong
+// counts as 3 tiles towards this.
+
+/** Thrown by Game in debug mode when the tiles stop adding up */
+class InvariantError extends Error {
+    /**
+     * @param {string[]} violations — from Invariants.check
+     * @param {Object} [event] — the log entry that exposed them
+     */
+    constructor(violations, event) {
+        const after = event ? ` after '${event.type}' (turn ${event.turn})` : '';
+        super(`Invariant violated${after}:\n  ${violations.join('\n  ')}`);
+        this.name = 'InvariantError';
+        this.violations = violations;
+        this.event = event || null;
+    }
+}
+
+class Invariants {
+    /**
+     * Everything wrong with the game's tiles right now.
+     * @param {Game} game — dealt (startRound has run)
+     * @returns {string[]} one message per problem; empty if all is well
+     */
+    static check(game) {
+        return [...Invariants._checkTiles(game), ...Invariants._checkHandSizes(game)];
+    }
+
+    /** Each tile id in exactly one place, none missing */
+    static _checkTiles(game) {
+        const violations = [];
+        const places = new Array(TOTAL_TILES).fill(null).map(() => []);
+        const add = (tiles, place) => {
+            for (const tile of tiles) {
+                if (tile && places[tile.id]) places[tile.id].push(place);
+                else violations.push(`${place} holds a bad tile: ${tile && tile.id}`);
+            }
+        };
+
+        const wall = game.wall;
+        add(wall.tiles.slice(wall.drawIndex), 'wall');
+        add(wall.deadWall, 'dead wall');
+        game.hands.forEach((hand, i) => {
+            add(hand.concealed, `hand ${i}`);
+            hand.melds.forEach((meld, m) => add(meld.tiles, `hand ${i} meld ${m}`));
+            add(hand.flowers, `hand ${i} flowers`);
+            add(hand.discards, `hand ${i} discards`);
+        });
+
+        places.forEach((where, id) => {
+            if (where.length === 0) violations.push(`tile ${id} is missing`);
+            else if (where.length > 1) violations.push(`tile ${id} is in ${where.length} places: ${where.join(', ')}`);
+        });
+        return violations;
+    }
+
+    /** Every hand at 13, or 14 for at most one player */
+    static _checkHandSizes(game) {
+        const violations = [];
+        const holding = [];
+        game.hands.forEach((hand, i) => {
+            const size = Invariants.handSize(hand);
+            if (size === WINNING_HAND_SIZE) holding.push(i);
+            else if (size !== HAND_SIZE) violations.push(`hand ${i} holds ${size} tiles`);
+        });
+        if (holding.length > 1) violations.push(`hands ${holding.join(' and ')} both hold ${WINNING_HAND_SIZE} tiles`);
+        return violations;
+    }
+
+    /** Tiles a hand counts towards its 13: concealed tiles plus 3 per meld */
+    static handSize(hand) {
+        return hand.concealed.length + hand.melds.length * 3;
+    }
+}
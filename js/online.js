@@ -0,0 +1,259 @@
+// ============================================================
+// online.js — A seat at a table on the online server (server.js)
+// ============================================================
+//
+// OnlineGame stands in for Game when playing online: the renderer and UI
+// draw it the same way, and the app's player* calls are sent to the
+// server as intents. It only knows what the server shows this seat —
+// other hands are face-down placeholders (null) until the round is over.
+//
+// Besides the GAME_EVENT types it emits 'lobby' when someone joins or
+// leaves, 'refused' ({ message }) when the server turns down an intent,
+// and 'closed' when the connection is lost.
+
+class OnlineGame extends EventEmitter {
+    /**
+     * @param {string} url — e.g. ws://localhost:8080/ws?room=lobby&name=阿明
+     */
+    constructor(url) {
+        super();
+        this.lookup = createTileLookup();
+        this.seat = -1;
+        this.room = '';
+        this.names = [null, null, null, null]; // Players at the table; null = played by the AI
+        this.host = -1; // The seat that may start the match
+        this.started = false;
+        this.connected = false;
+        this.online = true; // The UI calls players by name rather than 你 / 下家
+
+        // The fields the renderer and UI read off a Game
+        this.state = GAME_STATE.MENU;
+        this.hands = [null, null, null, null];
+        this.characters = [];
+        this.wall = { remaining: 0, stacks: () => [[], [], [], []] };
+        this.currentPlayer = 0;
+        this.dealerIndex = 0;
+        this.dealerStreak = 0;
+        this.roundWind = WINDS.EAST;
+        this.roundNumber = 0;
+        this.totalRounds = 0;
+        this.seatWinds = [WINDS.EAST, WINDS.SOUTH, WINDS.WEST, WINDS.NORTH];
+        this.scores = [10000, 10000, 10000, 10000];
+        this.difficulty = DIFFICULTY.MEDIUM;
+        this.matchFormat = DEFAULT_MATCH_FORMAT;
+        this.diceResults = [0, 0, 0];
+        this.diceRoller = 0;
+        this.breakDice = [0, 0, 0];
+        this.rules = RuleSet.preset(DEFAULT_RULE_SET);
+        this.seatDraw = false;
+        this.seatOrder = [0, 1, 2, 3];
+        this.winner = -1;
+        this.winInfo = null;
+        this.wins = [];
+        this.paymentInfo = null;
+        this.pendingClaims = [];
+        this.pendingRob = null;
+        this.lastDiscard = null;
+        this.lastDiscardPlayer = -1;
+        this.roundLog = [];
+        this.seed = null; // Kept from us until the match is over
+        this._drawnTile = null;
+        this._acting = -1;
+        this._waits = [];
+        this._kongOptions = [];
+        this._canSelfWin = false;
+        this._matchOver = false;
+
+        this.socket = new WebSocket(url);
+        this.socket.onopen = () => { this.connected = true; };
+        this.socket.onmessage = e => this._receive(JSON.parse(e.data));
+        this.socket.onclose = () => {
+            if (!this.socket) return; // We left
+            this.socket = null;
+            this.connected = false;
+            this.emit('closed');
+        };
+    }
+
+    get minFan() {
+        return this.rules.minFan;
+    }
+
+    get match() {
+        return MATCH_FORMATS.find(f => f.id === this.matchFormat) ||
+            MATCH_FORMATS.find(f => f.id === DEFAULT_MATCH_FORMAT);
+    }
+
+    // ===================== Messages =====================
+
+    /** Send an intent; false if there is no connection to send it on */
+    _send(msg) {
+        if (!this.socket || !this.connected) return false;
+        this.socket.send(JSON.stringify(msg));
+        return true;
+    }
+
+    _receive(msg) {
+        switch (msg.type) {
+            case 'welcome':
+                this.seat = msg.seat;
+                this.room = msg.room;
+                break;
+            case 'lobby':
+                this.names = msg.names;
+                this.host = msg.host;
+                this.started = msg.started;
+                this._seatCharacters();
+                this.emit('lobby');
+                this.emit(GAME_EVENT.UPDATED);
+                break;
+            case 'view':
+                this._applyView(msg.view);
+                break;
+            case 'event':
+                this.emit(msg.event, this._eventData(msg.event, msg.data));
+                break;
+            case 'error':
+                this.emit('refused', { message: msg.message });
+                break;
+        }
+    }
+
+    /** Characters by seat, named after whoever sits there */
+    _seatCharacters() {
+        const chars = createCharacters();
+        this.names.forEach((name, seat) => {
+            if (name) chars[seat].name = seat === this.seat ? `${name} (你)` : name;
+        });
+        this.characters = this.seatOrder.map(i => chars[i]);
+    }
+
+    /** Take on the server's view of the table, then tell the app as Game would */
+    _applyView(view) {
+        const tile = id => id !== null && id !== undefined ? this.lookup[id] : null;
+        const tiles = ids => ids.map(tile);
+        const prevState = this.state;
+
+        if (view.seatOrder.some((c, i) => c !== this.seatOrder[i])) {
+            this.seatOrder = view.seatOrder;
+            this._seatCharacters();
+        }
+        this.hands = view.hands.map((h, i) => {
+            if (!h) return null;
+            const hand = new Hand(i);
+            hand.concealed = typeof h.concealed === 'number' ? new Array(h.concealed).fill(null) : tiles(h.concealed);
+            hand.melds = h.melds.map(m => ({ type: m.type, tiles: tiles(m.tiles), fromPlayer: m.fromPlayer }));
+            hand.flowers = tiles(h.flowers);
+            hand.discards = tiles(h.discards);
+            hand.allowSevenPairs = view.rules.sevenPairs;
+            return hand;
+        });
+        const w = view.wall;
+        this.wall = {
+            remaining: w.remaining,
+            stacks: () => w.dealt ? Wall.stacksFor(w.start, w.drawIndex, w.deadDrawn) : [[], [], [], []]
+        };
+
+        this.state = view.state;
+        this.rules = RuleSet.fromJSON(view.rules);
+        this.lastDiscard = tile(view.lastDiscard);
+        this.pendingRob = view.pendingRob ? { player: view.pendingRob.player, tile: tile(view.pendingRob.tile) } : null;
+        this._drawnTile = tile(view.drawnTile);
+        this._waits = view.waits.map(w => ({ ...w, tile: Tile.fromKey(w.key) }));
+        this._acting = view.acting;
+        this._kongOptions = view.kongOptions;
+        this._canSelfWin = view.canSelfWin;
+        this._matchOver = view.matchOver;
+        for (const key of [
+            'currentPlayer', 'dealerIndex', 'dealerStreak', 'roundWind', 'roundNumber', 'seatWinds',
+            'totalRounds', 'scores', 'difficulty', 'matchFormat', 'diceResults', 'diceRoller', 'breakDice',
+            'lastDiscardPlayer', 'pendingClaims', 'winner', 'winInfo', 'wins', 'paymentInfo', 'seed', 'roundLog'
+        ]) {
+            this[key] = view[key];
+        }
+
+        if (this.state !== prevState) this.emit(GAME_EVENT.STATE_CHANGED, { state: this.state });
+        this.emit(GAME_EVENT.UPDATED);
+    }
+
+    /** An event's payload with tile ids turned back into tiles */
+    _eventData(event, data) {
+        switch (event) {
+            case GAME_EVENT.TILE_DISCARDED:
+                return { ...data, tile: this.lookup[data.tile] };
+            case GAME_EVENT.MELD_DECLARED:
+                return { ...data, meld: data.meld && { ...data.meld, tiles: data.meld.tiles.map(id => this.lookup[id]) } };
+            case GAME_EVENT.FLOWER_REPLACED:
+                return { ...data, flowers: data.flowers.map(id => this.lookup[id]) };
+            default:
+                return data;
+        }
+    }
+
+    // ===================== As Game =====================
+
+    /** Deal a match with whoever is at the table, using these menu settings (the host only) */
+    start(settings) {
+        return this._send({ type: 'start', settings });
+    }
+
+    humanSeats() {
+        return this.seat >= 0 ? [this.seat] : [];
+    }
+
+    humanToAct() {
+        return this._acting;
+    }
+
+    canPlayerSelfWin() {
+        return this._canSelfWin;
+    }
+
+    playerKongOptions() {
+        return this._kongOptions;
+    }
+
+    getPlayerWaits() {
+        return this._waits;
+    }
+
+    isMatchOver() {
+        return this._matchOver;
+    }
+
+    playerDraw() {
+        return this._send({ type: 'draw' });
+    }
+
+    playerSelfWin() {
+        return this._send({ type: 'selfWin' });
+    }
+
+    playerKong(type, key) {
+        return this._send({ type: 'kong', action: type, key });
+    }
+
+    playerDiscard(tile) {
+        return this._send({ type: 'discard', tile: tile.id });
+    }
+
+    playerClaim(action, chowCombo) {
+        return this._send({ type: 'claim', action, combo: chowCombo });
+    }
+
+    playerPass() {
+        return this._send({ type: 'pass' });
+    }
+
+    nextRound() {
+        return this._send({ type: 'nextRound' });
+    }
+
+    /** Leave the table; the AI takes over our seat */
+    abandon() {
+        const socket = this.socket;
+        this.socket = null;
+        if (socket) socket.close();
+        this.state = GAME_STATE.MENU;
+    }
+}
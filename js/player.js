@@ -0,0 +1,162 @@
+// ============================================================
+// player.js — Who sits in a seat: human, AI, or anything else
+// ============================================================
+//
+// Game puts every decision to the Player in a seat the same way, whoever
+// is sitting there. Each method gets a request and a respond callback to
+// call once with the answer — at once (AIPlayer) or later (HumanPlayer
+// waits for the UI; a network or bot player waits for its messages).
+// Game ignores answers that arrive after the round has moved on.
+//
+// Every request carries { seat, hand, context } (context as Game.getContext),
+// plus what the decision is about:
+//   decideSelfWin   { scoring }                 → respond(true | false)
+//   decideKong      { options: [{ action, key }] }  → respond(one of options | null)
+//   chooseDiscard   {}                          → respond(a tile in hand.concealed)
+//   decideClaim     { tile, from, actions, isNextPlayer, robbingKong } → respond(one of actions | null)
+//   chooseChowCombo { tile, combos }            → respond(one of combos, as tile keys)
+
+/** A seat that takes any win, never claims or kongs, and discards its newest tile; subclasses decide for real */
+class Player {
+    constructor() {
+        this.isHuman = false; // Game waits on the UI for humans (PLAYER_TURN / PLAYER_DISCARD / CLAIMING)
+    }
+
+    decideSelfWin(request, respond) {
+        respond(true);
+    }
+
+    decideKong(request, respond) {
+        respond(null);
+    }
+
+    chooseDiscard(request, respond) {
+        respond(request.hand.concealed[request.hand.concealed.length - 1]);
+    }
+
+    decideClaim(request, respond) {
+        respond(request.actions.includes('win') ? 'win' : null);
+    }
+
+    chooseChowCombo(request, respond) {
+        respond(request.combos[0]);
+    }
+
+    toJSON() {
+        return { type: 'player' };
+    }
+
+    /**
+     * Restore a player saved with toJSON()
+     * @param {Object} data
+     * @param {number} difficulty — for AI players
+     */
+    static fromJSON(data, difficulty) {
+        if (data.type === 'human') return new HumanPlayer();
+        if (data.type === 'ai') return new AIPlayer(new AI(difficulty, Random.fromJSON(data.rng)));
+        return new Player();
+    }
+}
+
+/** The computer opponent: answers straight away from an AI */
+class AIPlayer extends Player {
+    /**
+     * @param {AI} ai
+     */
+    constructor(ai) {
+        super();
+        this.ai = ai;
+    }
+
+    decideSelfWin(request, respond) {
+        respond(true); // Any win worth 起糊 is taken
+    }
+
+    decideKong({ hand, options }, respond) {
+        const choice = this.ai.decideKong(hand);
+        respond(choice && options.find(o => o.action === choice.action && o.key === choice.key) || null);
+    }
+
+    chooseDiscard({ hand, context }, respond) {
+        respond(this.ai.chooseDiscard(hand, context));
+    }
+
+    decideClaim({ hand, tile, isNextPlayer, context, actions }, respond) {
+        const claim = this.ai.decideClaim(hand, tile, isNextPlayer, context);
+        respond(actions.includes(claim) ? claim : null);
+    }
+
+    chooseChowCombo({ combos }, respond) {
+        respond(this.ai.chooseChowCombo(combos));
+    }
+
+    toJSON() {
+        return { type: 'ai', rng: this.ai.rng.toJSON() };
+    }
+}
+
+/**
+ * Someone at this screen. A question waits in pending until the UI calls
+ * choose() with the player's input, given as the answers it settles in the
+ * order Game asks them: clicking a tile to discard also declines 自摸 and
+ * any kong, e.g. [['decideSelfWin', false], ['decideKong', null], ['chooseDiscard', tile]].
+ */
+class HumanPlayer extends Player {
+    constructor() {
+        super();
+        this.isHuman = true;
+        this.pending = null; // { method, request, respond } while Game waits on this player
+        this._plan = null;   // [method, answer][] from the last input, not yet used up
+    }
+
+    decideSelfWin(request, respond) {
+        this._wait('decideSelfWin', request, respond);
+    }
+
+    decideKong(request, respond) {
+        this._wait('decideKong', request, respond);
+    }
+
+    chooseDiscard(request, respond) {
+        this._wait('chooseDiscard', request, respond);
+    }
+
+    decideClaim(request, respond) {
+        this._wait('decideClaim', request, respond);
+    }
+
+    chooseChowCombo(request, respond) {
+        this._wait('chooseChowCombo', request, respond);
+    }
+
+    /** The UI's input: [method, answer] pairs in the order Game asks (see class comment) */
+    choose(plan) {
+        if (!this.pending) return;
+        this._plan = plan;
+        this._settle();
+    }
+
+    _wait(method, request, respond) {
+        this.pending = { method, request, respond };
+        this._settle();
+    }
+
+    /** Answer the pending question from the input if it covers it; otherwise the input was for something else */
+    _settle() {
+        if (!this.pending || !this._plan) return;
+        const idx = this._plan.findIndex(([method]) => method === this.pending.method);
+        if (idx < 0) {
+            this._plan = null;
+            return;
+        }
+        const answer = this._plan[idx][1];
+        this._plan = idx + 1 < this._plan.length ? this._plan.slice(idx + 1) : null;
+        const { respond } = this.pending;
+        this.pending = null;
+        respond(answer);
+    }
+
+    toJSON() {
+        return { type: 'human' };
+    }
+}
@@ -0,0 +1,83 @@
+// ============================================================
+// random.js — Seedable PRNG (mulberry32) for reproducible games
+// ============================================================
+
+class Random {
+    /**
+     * @param {number} [seed] — 32-bit unsigned seed; random if omitted
+     */
+    constructor(seed = Random.randomSeed()) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /** Next float in [0, 1) */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /** Integer in [0, n) */
+    nextInt(n) {
+        return Math.floor(this.next() * n);
+    }
+
+    /** True with probability p */
+    chance(p) {
+        return this.next() < p;
+    }
+
+    /** Random element of an array */
+    pick(arr) {
+        return arr[this.nextInt(arr.length)];
+    }
+
+    /** New generator seeded from this stream (consumes one value) */
+    fork() {
+        return new Random(Math.floor(this.next() * 4294967296));
+    }
+
+    toJSON() {
+        return { seed: this.seed, state: this.state };
+    }
+
+    /** Restore a generator mid-stream from toJSON() output */
+    static fromJSON(data) {
+        const rng = new Random(data.seed);
+        rng.state = data.state >>> 0;
+        return rng;
+    }
+
+    /**
+     * Derive a sub-seed from a seed and a salt, so independent streams
+     * (each round's wall, voice lines…) never shift one another.
+     * @param {number} seed
+     * @param {string|number} salt
+     */
+    static derive(seed, salt) {
+        let h = (seed >>> 0) ^ 0x9E3779B9;
+        const text = String(salt);
+        for (let i = 0; i < text.length; i++) {
+            h = Math.imul(h ^ text.charCodeAt(i), 0x85EBCA6B);
+            h ^= h >>> 13;
+        }
+        h = Math.imul(h ^ (h >>> 16), 0xC2B2AE35);
+        return (h ^ (h >>> 16)) >>> 0;
+    }
+
+    static randomSeed() {
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+
+    /** Parse a seed typed by the player. Returns null if blank or invalid. */
+    static parseSeed(text) {
+        if (text === null || text === undefined) return null;
+        const trimmed = String(text).trim();
+        if (!/^\d+$/.test(trimmed)) return null;
+        const n = Number(trimmed);
+        return n <= 0xFFFFFFFF ? n : null;
+    }
+}
@@ -17,6 +17,10 @@ class Renderer {
         // Cached patterns
         this._feltPattern = null;
 
+        // Table orientation — the seat drawn at the bottom; the others follow round the table
+        this.viewSeat = 0;
+        this.hideViewHand = false; // Hot-seat: bottom hand face down while the device is passed on
+
         // Tile image sprites
         this._tileImages = {};
         this._imagesLoaded = false;
@@ -837,6 +841,14 @@ class Renderer {
         }
     }
 
+    /**
+     * Draw one frame of a round replay (all hands face up).
+     * @param {Replay} replay
+     */
+    drawReplay(replay) {
+        this.drawGame(replay.view());
+    }
+
     _drawDice(game) {
         const ctx = this.ctx;
         const cx = this.W / 2;
@@ -879,9 +891,9 @@ class Renderer {
 
         // Draw an arrow pointing to the selected dealer
         if (game.diceRolled) {
-            const dealerIdx = (sum - 1) % 4;
+            const dealerPos = this.posOf((game.diceRoller + sum - 1) % 4);
             const angles = [Math.PI / 2, 0, -Math.PI / 2, Math.PI]; // Bottom, Right, Top, Left
-            const angle = angles[dealerIdx];
+            const angle = angles[dealerPos];
             const dist = 60;
             const ax = cx + Math.cos(angle) * (dist + 40); // Offset from the new cluster center
             const ay = (cy + 140 + diceW / 2) + Math.sin(angle) * dist;
@@ -893,7 +905,7 @@ class Renderer {
             ctx.closePath();
             ctx.fillStyle = '#FFD700';
             ctx.fill();
-            ctx.fillText('莊家在此', ax, ay + (dealerIdx === 2 ? -25 : 30));
+            ctx.fillText('莊家在此', ax, ay + (dealerPos === 2 ? -25 : 30));
         }
         ctx.restore();
     }
@@ -946,7 +958,6 @@ class Renderer {
         const ctx = this.ctx;
         // Increased avatar size by 1.5x (80 -> 120 base)
         const avatarSize = Math.floor(Math.min(120, this.W * 0.08, this.H * 0.12));
-        const playerNames = ['你', '下家', '對家', '上家'];
 
         // Avatars moved to extreme corners
         const positions = [
@@ -958,10 +969,11 @@ class Renderer {
 
         for (let i = 0; i < 4; i++) {
             const pos = positions[i];
-            const char = game.characters[i];
+            const seat = this.seatAt(i);
+            const char = game.characters[seat];
 
             // Current player highlight
-            if (game.currentPlayer === i) {
+            if (game.currentPlayer === seat) {
                 const pulse = 0.5 + 0.5 * Math.sin(performance.now() / 400);
                 ctx.save();
                 ctx.beginPath();
@@ -976,7 +988,7 @@ class Renderer {
 
             // Score display beneath avatar
             if (game.scores) {
-                const score = game.scores[i];
+                const score = game.scores[seat];
                 ctx.save();
                 ctx.textAlign = 'center';
                 ctx.textBaseline = 'top';
@@ -1009,35 +1021,74 @@ class Renderer {
         const infoH = 120;
         this._roundRect(cx - infoW / 2, cy - infoH / 2, infoW, infoH, 10);
         ctx.fill();
+        this._drawWallOutline(game, cx - infoW / 2, cy - infoH / 2, infoW, infoH);
 
         ctx.textAlign = 'center';
         ctx.textBaseline = 'middle';
 
-        // Round wind
+        // Round wind and deal within it (東風圈 第N局)
         ctx.font = 'bold 18px "Noto Sans TC", sans-serif';
         ctx.fillStyle = '#FFD700';
-        ctx.fillText(`${WIND_NAMES[game.roundWind]}風圈`, cx, cy - 35);
+        ctx.fillText(`${WIND_NAMES[game.roundWind]}風圈 第${game.roundNumber + 1}局`, cx, cy - 35);
 
-        // Round counter
+        // Dealer's seat, and how many hands they have kept (連莊)
         ctx.font = '12px "Noto Sans TC", sans-serif';
         ctx.fillStyle = '#AADDAA';
-        ctx.fillText(`第 ${game.totalRounds + 1} / ${game.maxRounds} 局`, cx, cy - 15);
+        const streak = game.dealerStreak > 0 ? ` · 連莊 ${game.dealerStreak}` : '';
+        ctx.fillText(`莊家: ${this.seatLabels()[game.dealerIndex]}${streak}`, cx, cy - 15);
 
         // Remaining tiles
         ctx.font = '14px "Noto Sans TC", sans-serif';
         ctx.fillStyle = '#CCDDCC';
-        ctx.fillText(`餘牌: ${game.wall.remaining}`, cx, cy + 10);
+        const breakSum = game.breakDice ? game.breakDice.reduce((a, b) => a + b, 0) : 0;
+        ctx.fillText(`餘牌: ${game.wall.remaining}${breakSum > 0 ? ` · 開牌 ${breakSum}` : ''}`, cx, cy + 10);
 
         // Current player wind
         if (game.seatWinds && game.seatWinds.length > 0) {
             ctx.font = '14px "Noto Sans TC", sans-serif';
             ctx.fillStyle = '#AADDAA';
-            ctx.fillText(`你: ${WIND_NAMES[game.seatWinds[0]]}風`, cx, cy + 35);
+            ctx.fillText(`你: ${WIND_NAMES[game.seatWinds[this.viewSeat]]}風`, cx, cy + 35);
         }
 
         ctx.restore();
     }
 
+    /**
+     * The wall, stack by stack, along the inside edge of the centre box: each
+     * side in front of its seat, running clockwise as tiles are drawn. Full
+     * stacks are solid, half stacks faint, the replacement tail in gold — so
+     * the live wall runs out where ivory meets gold.
+     */
+    _drawWallOutline(game, x, y, w, h) {
+        const ctx = this.ctx;
+        const inset = 5;
+        const t = 4; // depth of a stack
+        const segW = (w - inset * 2) / WALL_STACKS;
+        const segH = (h - inset * 2 - t * 2) / WALL_STACKS;
+
+        ctx.save();
+        game.wall.stacks().forEach((stacks, seat) => {
+            const pos = this.posOf(seat);
+            stacks.forEach((stack, i) => {
+                if (stack.tiles === 0) return;
+                let sx, sy, sw, sh;
+                if (pos === 0) {        // bottom, right to left
+                    sx = x + w - inset - (i + 1) * segW; sy = y + h - inset - t; sw = segW; sh = t;
+                } else if (pos === 3) { // left, bottom to top
+                    sx = x + inset; sy = y + h - inset - t - (i + 1) * segH; sw = t; sh = segH;
+                } else if (pos === 2) { // top, left to right
+                    sx = x + inset + i * segW; sy = y + inset; sw = segW; sh = t;
+                } else {                 // right, top to bottom
+                    sx = x + w - inset - t; sy = y + inset + t + i * segH; sw = t; sh = segH;
+                }
+                ctx.globalAlpha = stack.tiles === 2 ? 0.9 : 0.45;
+                ctx.fillStyle = stack.dead ? '#c4973a' : '#E8DCC0';
+                ctx.fillRect(sx + 0.5, sy + 0.5, sw - 1, sh - 1);
+            });
+        });
+        ctx.restore();
+    }
+
     /** Draw all players' hands around the table */
     drawHands(game) {
         if (!game.hands) return;
@@ -1056,7 +1107,7 @@ class Renderer {
     }
 
     _drawPlayerHand(game) {
-        const hand = game.hands[0];
+        const hand = game.hands[this.viewSeat];
         if (!hand) return;
         const tiles = hand.concealed;
         const totalW = tiles.length * (this.TILE_W + this.TILE_GAP);
@@ -1065,6 +1116,10 @@ class Renderer {
         this._playerTilePositions = [];
         for (let i = 0; i < tiles.length; i++) {
             const x = startX + i * (this.TILE_W + this.TILE_GAP);
+            if (this._isViewHandHidden(game)) {
+                this.drawTileBack(x, y);
+                continue;
+            }
             const isHighlighted = (this._selectedTileIndex === i);
             const isDrawn = game._drawnTile && tiles[i].id === game._drawnTile.id;
             const drawY = isDrawn ? y - 8 : y;
@@ -1075,25 +1130,28 @@ class Renderer {
 
     _drawOpponentHands(game) {
         const isReveal = (game.state === GAME_STATE.ROUND_END || game.state === GAME_STATE.GAME_END);
-        // Top player (index 2)
-        if (game.hands[2]) {
-            const count = game.hands[2].concealed.length;
+        const top = this.seatAt(2);
+        const right = this.seatAt(1);
+        const left = this.seatAt(3);
+        // Top player (對家)
+        if (game.hands[top]) {
+            const count = game.hands[top].concealed.length;
             const totalW = count * (this.TILE_W * 0.7 + 2);
             const startX = (this.W - totalW) / 2;
             const ty = 25;
             for (let i = 0; i < count; i++) {
                 const tx = startX + i * (this.TILE_W * 0.7 + 2);
-                if (isReveal) this.drawTile(tx, ty, game.hands[2].concealed[i], false, true);
+                if (isReveal) this.drawTile(tx, ty, game.hands[top].concealed[i], false, true);
                 else this.drawTileBack(tx, ty, true);
             }
             this.ctx.fillStyle = '#AADDAA';
             this.ctx.font = '13px "Noto Sans TC", sans-serif';
             this.ctx.textAlign = 'center';
-            this.ctx.fillText(`對家 (${WIND_NAMES[game.seatWinds[2]]})`, this.W / 2, 18);
+            this.ctx.fillText(`對家 (${WIND_NAMES[game.seatWinds[top]]})`, this.W / 2, 18);
         }
-        // Right player (index 1)
-        if (game.hands[1]) {
-            const count = game.hands[1].concealed.length;
+        // Right player (下家)
+        if (game.hands[right]) {
+            const count = game.hands[right].concealed.length;
             const totalH = count * (this.TILE_W * 0.7 + 2);
             const startY = (this.H - totalH) / 2;
             const tx = this.W - this.TILE_H * 0.7 - 25;
@@ -1103,7 +1161,7 @@ class Renderer {
                     this.ctx.save();
                     this.ctx.translate(tx + (this.TILE_H * 0.7) / 2, ty + (this.TILE_W * 0.7) / 2);
                     this.ctx.rotate(-Math.PI / 2);
-                    this.drawTile(-(this.TILE_W * 0.7) / 2, -(this.TILE_H * 0.7) / 2, game.hands[1].concealed[i], false, true);
+                    this.drawTile(-(this.TILE_W * 0.7) / 2, -(this.TILE_H * 0.7) / 2, game.hands[right].concealed[i], false, true);
                     this.ctx.restore();
                 } else this.drawTileBack(tx, ty, true, true);
             }
@@ -1113,12 +1171,12 @@ class Renderer {
             this.ctx.fillStyle = '#AADDAA';
             this.ctx.font = '13px "Noto Sans TC", sans-serif';
             this.ctx.textAlign = 'center';
-            this.ctx.fillText(`下家 (${WIND_NAMES[game.seatWinds[1]]})`, 0, 0);
+            this.ctx.fillText(`下家 (${WIND_NAMES[game.seatWinds[right]]})`, 0, 0);
             this.ctx.restore();
         }
-        // Left player (index 3)
-        if (game.hands[3]) {
-            const count = game.hands[3].concealed.length;
+        // Left player (上家)
+        if (game.hands[left]) {
+            const count = game.hands[left].concealed.length;
             const totalH = count * (this.TILE_W * 0.7 + 2);
             const startY = (this.H - totalH) / 2;
             const tx = 25;
@@ -1128,7 +1186,7 @@ class Renderer {
                     this.ctx.save();
                     this.ctx.translate(tx + (this.TILE_H * 0.7) / 2, ty + (this.TILE_W * 0.7) / 2);
                     this.ctx.rotate(Math.PI / 2);
-                    this.drawTile(-(this.TILE_W * 0.7) / 2, -(this.TILE_H * 0.7) / 2, game.hands[3].concealed[i], false, true);
+                    this.drawTile(-(this.TILE_W * 0.7) / 2, -(this.TILE_H * 0.7) / 2, game.hands[left].concealed[i], false, true);
                     this.ctx.restore();
                 } else this.drawTileBack(tx, ty, true, true);
             }
@@ -1138,14 +1196,14 @@ class Renderer {
             this.ctx.fillStyle = '#AADDAA';
             this.ctx.font = '13px "Noto Sans TC", sans-serif';
             this.ctx.textAlign = 'center';
-            this.ctx.fillText(`上家 (${WIND_NAMES[game.seatWinds[3]]})`, 0, 0);
+            this.ctx.fillText(`上家 (${WIND_NAMES[game.seatWinds[left]]})`, 0, 0);
             this.ctx.restore();
         }
     }
 
     _drawHandsPortrait(game, isReveal) {
         // Player (bottom) - more space and higher for thumbs
-        const hand = game.hands[0];
+        const hand = game.hands[this.viewSeat];
         if (hand) {
             const tiles = hand.concealed;
             const totalW = tiles.length * (this.TILE_W + this.TILE_GAP);
@@ -1155,6 +1213,10 @@ class Renderer {
             this._playerTilePositions = [];
             for (let i = 0; i < tiles.length; i++) {
                 const x = startX + i * (this.TILE_W + this.TILE_GAP);
+                if (this._isViewHandHidden(game)) {
+                    this.drawTileBack(x, y);
+                    continue;
+                }
                 const isHighlighted = (this._selectedTileIndex === i);
                 const isDrawn = game._drawnTile && tiles[i].id === game._drawnTile.id;
                 const drawY = isDrawn ? y - 10 : (isHighlighted ? y - 20 : y);
@@ -1166,14 +1228,14 @@ class Renderer {
             this.ctx.fillStyle = '#FFD700';
             this.ctx.font = 'bold 18px "Noto Sans TC", sans-serif';
             this.ctx.textAlign = 'center';
-            this.ctx.fillText(`你 (${WIND_NAMES[game.seatWinds[0]]})`, this.W / 2, this.H - 25);
+            this.ctx.fillText(`你 (${WIND_NAMES[game.seatWinds[this.viewSeat]]})`, this.W / 2, this.H - 25);
         }
 
         // Group opponents at the top in portrait
         const opponents = [
-            { idx: 3, label: '上家', x: 20, align: 'left' },
-            { idx: 2, label: '對家', x: this.W / 2, align: 'center' },
-            { idx: 1, label: '下家', x: this.W - 20, align: 'right' }
+            { idx: this.seatAt(3), label: '上家', x: 20, align: 'left' },
+            { idx: this.seatAt(2), label: '對家', x: this.W / 2, align: 'center' },
+            { idx: this.seatAt(1), label: '下家', x: this.W - 20, align: 'right' }
         ];
 
         opponents.forEach(p => {
@@ -1216,13 +1278,13 @@ class Renderer {
         const cols = 6;
 
         // Bottom player discards (going up from centre)
-        this._drawDiscardGrid(game.hands[0].discards, cx, cy + 65, smallW, smallH, gap, cols, 'up');
+        this._drawDiscardGrid(game.hands[this.seatAt(0)].discards, cx, cy + 65, smallW, smallH, gap, cols, 'up');
         // Top player discards (going down from centre)
-        this._drawDiscardGrid(game.hands[2].discards, cx, cy - 65, smallW, smallH, gap, cols, 'down');
+        this._drawDiscardGrid(game.hands[this.seatAt(2)].discards, cx, cy - 65, smallW, smallH, gap, cols, 'down');
         // Right player discards (grow right)
-        this._drawDiscardGrid(game.hands[1].discards, cx + 100, cy, smallW, smallH, gap, cols, 'right');
+        this._drawDiscardGrid(game.hands[this.seatAt(1)].discards, cx + 100, cy, smallW, smallH, gap, cols, 'right');
         // Left player discards (grow left)
-        this._drawDiscardGrid(game.hands[3].discards, cx - 100, cy, smallW, smallH, gap, cols, 'left');
+        this._drawDiscardGrid(game.hands[this.seatAt(3)].discards, cx - 100, cy, smallW, smallH, gap, cols, 'left');
     }
 
     _drawDiscardGrid(discards, cx, cy, tw, th, gap, cols, direction) {
@@ -1253,8 +1315,8 @@ class Renderer {
 
     /** Draw exposed melds and flowers together beside each player */
     _drawExposedArea(game) {
-        for (let p = 0; p < 4; p++) {
-            const hand = game.hands ? game.hands[p] : null;
+        for (let p = 0; p < 4; p++) { // p is the position at the table (0 = bottom)
+            const hand = game.hands ? game.hands[this.seatAt(p)] : null;
             if (!hand) continue;
             const melds = hand.melds;
             const flowers = hand.flowers;
@@ -1361,6 +1423,29 @@ class Renderer {
         }
     }
 
+    // ===================== Table Orientation =====================
+
+    /** Seat sitting at a table position (0 bottom, 1 right, 2 top, 3 left) */
+    seatAt(pos) {
+        return (this.viewSeat + pos) % 4;
+    }
+
+    /** Table position of a seat */
+    posOf(seat) {
+        return (seat - this.viewSeat + 4) % 4;
+    }
+
+    /** What the bottom player calls each seat (你 / 下家 / 對家 / 上家), indexed by seat */
+    seatLabels() {
+        const names = ['你', '下家', '對家', '上家'];
+        return [0, 1, 2, 3].map(seat => names[this.posOf(seat)]);
+    }
+
+    /** Is the bottom hand face down — mid hot-seat handover, and not revealed at round end? */
+    _isViewHandHidden(game) {
+        return this.hideViewHand && game.state !== GAME_STATE.ROUND_END && game.state !== GAME_STATE.GAME_END;
+    }
+
     // ===================== Utility =====================
 
     _roundRect(x, y, w, h, r) {
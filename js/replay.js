@@ -0,0 +1,144 @@
+// ============================================================
+// replay.js — Step through a finished round from Game.roundLog
+// ============================================================
+
+class Replay {
+    /**
+     * @param {Object[]} log — Game.roundLog of a finished round
+     * @param {Object} [meta] — { characters, scores } for display
+     */
+    constructor(log, meta = {}) {
+        this.log = log;
+        this.meta = meta;
+        this.lookup = createTileLookup();
+        this.frames = this._buildFrames();
+        this.index = 0;
+    }
+
+    get length() {
+        return this.frames.length;
+    }
+
+    /** Log entry shown by the current frame */
+    get event() {
+        return this.log[this.index];
+    }
+
+    next() {
+        if (this.index < this.frames.length - 1) this.index++;
+    }
+
+    prev() {
+        if (this.index > 0) this.index--;
+    }
+
+    /**
+     * Game-shaped view of the current frame for Renderer.drawGame.
+     * State is ROUND_END so every hand is drawn face up.
+     */
+    view() {
+        const frame = this.frames[this.index];
+        const deal = this.log[0];
+        const ev = this.event;
+        return {
+            state: GAME_STATE.ROUND_END,
+            hands: frame.hands.map(h => Hand.fromJSON(h, this.lookup)),
+            wall: {
+                remaining: frame.remaining,
+                stacks: () => Wall.stacksFor(deal.wallStart || 0, frame.liveDrawn, frame.deadDrawn)
+            },
+            breakDice: deal.breakDice || [0, 0, 0],
+            seatWinds: deal.seatWinds,
+            roundWind: deal.roundWind,
+            dealerIndex: deal.dealer,
+            dealerStreak: deal.streak || 0,
+            roundNumber: deal.roundNumber || 0,
+            currentPlayer: ev.player !== undefined ? ev.player : -1,
+            characters: this.meta.characters || [],
+            scores: frame.scores || this.meta.scores,
+            totalRounds: deal.round,
+            diceResults: [0, 0, 0],
+            _drawnTile: ev.type === 'draw' ? this.lookup[ev.tile] : null
+        };
+    }
+
+    /** Apply every log entry in order, snapshotting the hands after each */
+    _buildFrames() {
+        const frames = [];
+        const hands = [0, 1, 2, 3].map(i => new Hand(i));
+        let remaining = 0;
+        let liveDrawn = 0;
+        let deadDrawn = 0; // Replacement tiles, from the dead wall or the live wall's tail
+        let scores = null;
+
+        for (const ev of this.log) {
+            const tile = ev.tile !== undefined ? this.lookup[ev.tile] : null;
+            const hand = ev.player !== undefined ? hands[ev.player] : null;
+
+            switch (ev.type) {
+                case 'deal':
+                    ev.hands.forEach((ids, i) => hands[i].setInitial(ids.map(id => this.lookup[id])));
+                    remaining = ev.remaining;
+                    liveDrawn = LIVE_WALL_SIZE - ev.remaining;
+                    break;
+                case 'draw':
+                    hand.addTile(tile);
+                    if (ev.source !== 'dead') remaining--;
+                    if (ev.source === 'wall') liveDrawn++;
+                    else deadDrawn++;
+                    break;
+                case 'flower':
+                    hand.removeTile(tile);
+                    hand.addFlower(tile);
+                    break;
+                case 'discard':
+                    hand.discard(tile);
+                    break;
+                case 'claim': {
+                    Replay._takeDiscard(hands[ev.from], tile);
+                    const meldTiles = ev.tiles.map(id => this.lookup[id]);
+                    for (const t of meldTiles) hand.removeTile(t);
+                    hand.melds.push({ type: ev.meldType, tiles: meldTiles, fromPlayer: ev.from });
+                    break;
+                }
+                case 'kong': {
+                    const kongTiles = ev.tiles.map(id => this.lookup[id]);
+                    if (ev.kongType === 'kong_added') {
+                        hand.doKongAdded(ev.key);
+                    } else {
+                        for (const t of kongTiles) hand.removeTile(t);
+                        hand.melds.push({ type: MELD_TYPE.KONG_CONCEALED, tiles: kongTiles });
+                    }
+                    break;
+                }
+                case 'win':
+                    if (ev.robbedKong) {
+                        hands[ev.from].removeTile(tile);
+                        hand.addTile(tile);
+                    } else if (!ev.selfDrawn && !ev.shared) {
+                        Replay._takeDiscard(hands[ev.from], tile);
+                        hand.addTile(tile);
+                    }
+                    break;
+                case 'flowerWin':
+                    if (ev.from >= 0) {
+                        const robbed = hands[ev.from].flowers.findIndex(t => t.id === tile.id);
+                        if (robbed >= 0) hands[ev.from].flowers.splice(robbed, 1);
+                        hand.addFlower(tile);
+                    }
+                    break;
+                case 'payment':
+                    scores = ev.scores;
+                    break;
+            }
+
+            frames.push({ hands: hands.map(h => h.toJSON()), remaining, liveDrawn, deadDrawn, scores });
+        }
+        return frames;
+    }
+
+    static _takeDiscard(hand, tile) {
+        const idx = hand.discards.findIndex(t => t.id === tile.id);
+        if (idx >= 0) hand.discards.splice(idx, 1);
+    }
+}
@@ -0,0 +1,129 @@
+// ============================================================
+// rules.js — House rule sets (起糊, 番 cap, payment scheme)
+// ============================================================
+//
+// Every table plays slightly differently. A RuleSet bundles the house
+// rules the engine reads: Game, Scoring and Hand never hard-code them.
+
+// 半辣上 multipliers: doubling up to 4番, then half steps (×1.5, ×4/3…) up to 10番
+const HALF_SPICY = [1, 2, 4, 8, 16, 24, 32, 48, 64, 96, 128];
+
+/**
+ * Fan-to-points tables, indexed by fan; fans past the end use the last entry.
+ * discard is what a discard win is worth in full (全銃); selfDraw is what each
+ * loser pays on a self-draw — half the discard value in the parlour tables.
+ */
+const FAN_TABLES = {
+    power: {
+        name: '2 的次方',
+        discard: [1, 2, 4, 8, 16, 32, 64, 128, 256, 512, 1024],
+        selfDraw: [1, 2, 4, 8, 16, 32, 64, 128, 256, 512, 1024]
+    },
+    spicy: {
+        name: '辣上',
+        discard: [2, 4, 8, 16, 32, 64, 128, 256, 512, 1024, 2048],
+        selfDraw: [1, 2, 4, 8, 16, 32, 64, 128, 256, 512, 1024]
+    },
+    halfSpicy: {
+        name: '半辣上',
+        discard: HALF_SPICY.map(m => m * 2),
+        selfDraw: HALF_SPICY.slice()
+    },
+    stake5: {
+        name: '半辣上 $5/$10',
+        discard: HALF_SPICY.map(m => m * 10),
+        selfDraw: HALF_SPICY.map(m => m * 5)
+    },
+    stake10: {
+        name: '半辣上 $10/$20',
+        discard: HALF_SPICY.map(m => m * 20),
+        selfDraw: HALF_SPICY.map(m => m * 10)
+    }
+};
+
+const RULE_SET_DEFAULTS = {
+    id: 'custom',
+    name: '自訂',
+    minFan: 1,               // 起糊
+    maxFan: MAX_FAN,         // 爆棚: fan cap, and what limit hands score
+    fanTable: 'power',       // key of FAN_TABLES
+    payment: 'full',         // 'full' 全銃: discarder pays all | 'shared' 半銃: discarder half, others a quarter each
+    dealerDoubling: true,    // Payments to or from the dealer are doubled
+    sevenPairs: true,        // 七對子 is a winning hand
+    flowerWins: true,        // 花糊: 八仙過海 / 七搶一 win the moment the flowers are shown
+    multipleWinners: false,  // 一炮多響: everyone who can win on a discard takes it
+    continuationBonus: 'none', // 連莊 bonus on payments to or from the dealer: 'none' | 'fan' (+1番 each) | 'points' (+1 base unit each)
+    drawKeepsDeal: false     // 荒莊 keeps the deal with the dealer instead of passing it
+};
+
+/** Presets offered in the menu, in display order */
+const RULE_SET_PRESETS = [
+    { id: 'classic', name: '經典 1番起糊' },
+    { id: 'classic3', name: '經典 3番起糊', minFan: 3 },
+    { id: 'shared', name: '半銃 3番起糊', minFan: 3, maxFan: 10, payment: 'shared', dealerDoubling: false },
+    { id: 'halfSpicy', name: '半辣上 全銃', minFan: 3, maxFan: 10, fanTable: 'halfSpicy', dealerDoubling: false },
+    { id: 'spicy', name: '辣上 全銃', minFan: 3, maxFan: 10, fanTable: 'spicy', dealerDoubling: false },
+    { id: 'stake5', name: '$5/$10 半辣上', minFan: 3, maxFan: 10, fanTable: 'stake5', dealerDoubling: false },
+    { id: 'stake10', name: '$10/$20 半辣上', minFan: 3, maxFan: 10, fanTable: 'stake10', dealerDoubling: false },
+    { id: 'streak', name: '連莊加番 3番起糊', minFan: 3, maxFan: 10, dealerDoubling: false, continuationBonus: 'fan', drawKeepsDeal: true }
+];
+
+const DEFAULT_RULE_SET = 'classic';
+
+class RuleSet {
+    /**
+     * @param {Object} [options] — any RULE_SET_DEFAULTS fields to override
+     */
+    constructor(options = {}) {
+        Object.assign(this, RULE_SET_DEFAULTS, options);
+    }
+
+    get table() {
+        return FAN_TABLES[this.fanTable];
+    }
+
+    /**
+     * Points for a hand of this many fan, from the fan table.
+     * @param {number} fan
+     * @param {boolean} selfDrawn — self-draw (each loser pays) or discard win column
+     */
+    points(fan, selfDrawn) {
+        const column = selfDrawn ? this.table.selfDraw : this.table.discard;
+        return column[Math.max(0, Math.min(fan, this.maxFan, column.length - 1))];
+    }
+
+    /** One-line summary for the menu, e.g. 3番起糊 · 10番爆棚 · 半銃 */
+    describe() {
+        const parts = [`${this.minFan}番起糊`, `${this.maxFan}番爆棚`, this.payment === 'shared' ? '半銃' : '全銃', this.table.name];
+        if (this.dealerDoubling) parts.push('莊家加倍');
+        if (!this.sevenPairs) parts.push('冇七對');
+        if (!this.flowerWins) parts.push('冇花糊');
+        if (this.multipleWinners) parts.push('一炮多響');
+        if (this.continuationBonus === 'fan') parts.push('連莊加番');
+        if (this.continuationBonus === 'points') parts.push('連莊加分');
+        if (this.drawKeepsDeal) parts.push('荒莊連莊');
+        return parts.join(' · ');
+    }
+
+    /** Copy with some rules changed */
+    with(overrides) {
+        return new RuleSet({ ...this.toJSON(), ...overrides });
+    }
+
+    toJSON() {
+        const data = {};
+        for (const key of Object.keys(RULE_SET_DEFAULTS)) data[key] = this[key];
+        return data;
+    }
+
+    static fromJSON(data) {
+        return new RuleSet(data);
+    }
+
+    /** A fresh copy of a menu preset (the default one if id is unknown) */
+    static preset(id) {
+        const preset = RULE_SET_PRESETS.find(p => p.id === id) ||
+            RULE_SET_PRESETS.find(p => p.id === DEFAULT_RULE_SET);
+        return new RuleSet(preset);
+    }
+}
@@ -0,0 +1,63 @@
+// ============================================================
+// save.js — Autosave / resume of an in-progress match (localStorage)
+// ============================================================
+
+// One slot for every format; the save carries its own SAVE_VERSION (game.js)
+const SAVE_KEY = 'hkmj_save';
+
+class SaveStore {
+    /** Write the current match. Storage errors (quota, private mode) are ignored. */
+    static save(game) {
+        try {
+            localStorage.setItem(SAVE_KEY, JSON.stringify(game));
+            SaveStore._resumable = true;
+        } catch (e) {
+            // Nothing saved; the match plays on
+        }
+    }
+
+    /**
+     * Is there a match this version of the game can resume? A save in another
+     * format is discarded. Asked every menu frame, so the answer is kept.
+     */
+    static hasSave() {
+        if (SaveStore._resumable === null) {
+            try {
+                const raw = localStorage.getItem(SAVE_KEY);
+                SaveStore._resumable = raw !== null && JSON.parse(raw).version === SAVE_VERSION;
+            } catch (e) {
+                SaveStore._resumable = false;
+            }
+            if (!SaveStore._resumable) SaveStore.clear();
+        }
+        return SaveStore._resumable;
+    }
+
+    /**
+     * Restore the saved match into an existing Game.
+     * Returns false (and discards the save) if it is missing, unreadable or in another format.
+     */
+    static loadInto(game) {
+        try {
+            const raw = localStorage.getItem(SAVE_KEY);
+            if (!raw) return false;
+            game.loadJSON(JSON.parse(raw));
+            return true;
+        } catch (e) {
+            SaveStore.clear();
+            return false;
+        }
+    }
+
+    static clear() {
+        try {
+            localStorage.removeItem(SAVE_KEY);
+            SaveStore._resumable = false;
+        } catch (e) {
+            // Nothing to clear
+        }
+    }
+}
+
+// Unknown until hasSave() first reads the slot
+SaveStore._resumable = null;
@@ -0,0 +1,116 @@
+// ============================================================
+// scheduler.js — Clocks that drive Game's delayed actions
+// ============================================================
+//
+// Game never calls setTimeout itself; it asks its scheduler to run a task
+// after a named delay ('aiTurn', 'aiAction'). Swap the scheduler to change
+// pacing, or to step the engine by hand in tests and simulations.
+
+/** Default delays in ms, keyed by the kind of task Game schedules */
+const SCHEDULER_DELAYS = {
+    aiTurn: 1500,   // before an AI draws (long enough for voice lines to finish)
+    aiAction: 800   // between an AI announcing a claim/kong/win and doing it
+};
+
+/** Wall-clock scheduler for the browser UI */
+class RealTimeScheduler {
+    /**
+     * @param {Object} [delays] — overrides for SCHEDULER_DELAYS
+     */
+    constructor(delays = {}) {
+        this.delays = { ...SCHEDULER_DELAYS, ...delays };
+        this._timers = new Set();
+    }
+
+    /** Run fn after the delay configured for kind. Returns a handle for cancel(). */
+    schedule(fn, kind) {
+        const ms = this.delays[kind] !== undefined ? this.delays[kind] : 0;
+        const id = setTimeout(() => {
+            this._timers.delete(id);
+            fn();
+        }, ms);
+        this._timers.add(id);
+        return id;
+    }
+
+    cancel(id) {
+        clearTimeout(id);
+        this._timers.delete(id);
+    }
+
+    /** Drop every pending task (round or game abandoned) */
+    cancelAll() {
+        for (const id of this._timers) clearTimeout(id);
+        this._timers.clear();
+    }
+
+    get pending() {
+        return this._timers.size;
+    }
+}
+
+/** Queues tasks until step() / runAll() is called — for stepping the engine by hand */
+class ManualScheduler {
+    constructor() {
+        this._queue = [];
+    }
+
+    schedule(fn, kind) {
+        const task = { fn, kind };
+        this._queue.push(task);
+        return task;
+    }
+
+    cancel(task) {
+        const idx = this._queue.indexOf(task);
+        if (idx >= 0) this._queue.splice(idx, 1);
+    }
+
+    cancelAll() {
+        this._queue = [];
+    }
+
+    /** Run the oldest pending task. Returns false if there was none. */
+    step() {
+        const task = this._queue.shift();
+        if (!task) return false;
+        task.fn();
+        return true;
+    }
+
+    /** Run tasks (including ones they schedule) until idle or limit reached */
+    runAll(limit = Infinity) {
+        let count = 0;
+        while (count < limit && this.step()) count++;
+        return count;
+    }
+
+    get pending() {
+        return this._queue.length;
+    }
+}
+
+/**
+ * Runs every task as soon as it is scheduled, without nesting: tasks
+ * scheduled while one is running are queued and drained in order. A call
+ * into Game returns once play is waiting on a human (or the round is over).
+ */
+class InstantScheduler extends ManualScheduler {
+    constructor() {
+        super();
+        this._draining = false;
+    }
+
+    schedule(fn, kind) {
+        const task = super.schedule(fn, kind);
+        if (!this._draining) {
+            this._draining = true;
+            try {
+                this.runAll();
+            } finally {
+                this._draining = false;
+            }
+        }
+        return task;
+    }
+}
@@ -4,20 +4,41 @@
 
 class Scoring {
     /**
-     * Calculate total fan for a winning hand.
+     * Calculate total fan for a winning hand, scoring every way to read it
+     * (e.g. 111222333 as pungs or as chows) and keeping the best.
      * @param {Hand} hand
-     * @param {Object} context - { seatWind, roundWind, selfDrawn, lastTile, isLastTile, isKongDraw }
-     * @returns {{ totalFan: number, breakdown: {name, fan}[] }}
+     * @param {Object} context - { seatWind, roundWind, selfDrawn, winningTile, isLastTile, isKongDraw, isFlowerDraw,
+     *   robbingKong, turnCount, players, rules } — winningTile is the claimed tile on a discard win;
+     *   isLastTile means the live wall is empty, whether the win is self-drawn or on the final discard
+     * @returns {{ totalFan: number, breakdown: {name, fan}[], decomposition: Object|null }}
      */
     static calculate(hand, context) {
+        let best = { totalFan: 0, breakdown: [], decomposition: null };
+        for (const decomp of hand.getWinDecompositions()) {
+            const result = Scoring._scoreDecomposition(hand, decomp, context);
+            if (!best.decomposition || result.totalFan > best.totalFan) {
+                best = { ...result, decomposition: decomp };
+            }
+        }
+        return best;
+    }
+
+    /** Fan for one reading of the hand (see Hand.getWinDecompositions) */
+    static _scoreDecomposition(hand, decomp, context) {
         const breakdown = [];
-        const decomp = hand.getWinDecomposition();
-        if (!decomp) return { totalFan: 0, breakdown: [] };
+        const limit = (context.rules || RuleSet.preset(DEFAULT_RULE_SET)).maxFan; // 爆棚
+
+        // Heavenly / Earthly Hand (天糊 / 地糊) — limit whatever the tiles
+        const firstTurnWin = Scoring._firstTurnWin(hand, context);
+        if (firstTurnWin) {
+            breakdown.push({ name: firstTurnWin, fan: limit });
+            return { totalFan: limit, breakdown };
+        }
 
         // ---- Special Hands ----
         if (decomp.special === 'thirteen_orphans') {
-            breakdown.push({ name: '十三么', fan: MAX_FAN });
-            return { totalFan: MAX_FAN, breakdown };
+            breakdown.push({ name: '十三么', fan: limit });
+            return { totalFan: limit, breakdown };
         }
 
         if (decomp.special === 'seven_pairs') {
@@ -25,14 +46,17 @@ class Scoring {
             const tiles = decomp.tiles;
             // Check if all-honours seven pairs
             if (tiles.every(t => t.isHonour)) {
-                breakdown.push({ name: '字一色', fan: MAX_FAN });
-                return { totalFan: MAX_FAN, breakdown };
+                breakdown.push({ name: '字一色', fan: limit });
+                return { totalFan: limit, breakdown };
+            }
+            if (tiles.every(t => t.isTerminalOrHonour)) {
+                breakdown.push({ name: '混么九', fan: 4 });
             }
             // Check half/full flush with seven pairs
             Scoring._checkFlush(tiles, hand.melds, breakdown);
-            let total = breakdown.reduce((s, b) => s + b.fan, 0);
-            if (context.selfDrawn) { breakdown.push({ name: '自摸', fan: 1 }); total++; }
-            return { totalFan: Math.min(total, MAX_FAN), breakdown };
+            Scoring._checkWinCircumstances(context, breakdown);
+            Scoring._checkFlowers(hand, context, breakdown, limit);
+            return Scoring._total(breakdown, limit);
         }
 
         // ---- Standard hand analysis ----
@@ -51,8 +75,22 @@ class Scoring {
 
         // All Honours (字一色)
         if (allTiles.every(t => t.isHonour)) {
-            breakdown.push({ name: '字一色', fan: MAX_FAN });
-            return { totalFan: MAX_FAN, breakdown };
+            breakdown.push({ name: '字一色', fan: limit });
+            return { totalFan: limit, breakdown };
+        }
+
+        // Pure Terminals (清么九) — nothing but 1s and 9s
+        if (allTiles.every(t => t.isTerminal)) {
+            breakdown.push({ name: '清么九', fan: limit });
+            return { totalFan: limit, breakdown };
+        }
+
+        // Four Kongs (十八羅漢)
+        const kongCount = hand.melds.filter(m => m.type === MELD_TYPE.KONG_EXPOSED ||
+            m.type === MELD_TYPE.KONG_CONCEALED || m.type === MELD_TYPE.KONG_ADDED).length;
+        if (kongCount === 4) {
+            breakdown.push({ name: '十八羅漢', fan: limit });
+            return { totalFan: limit, breakdown };
         }
 
         // Nine Gates (九蓮寶燈) — must be concealed and all one number suit
@@ -64,16 +102,25 @@ class Scoring {
                 // 1112345678999 + any of that suit
                 if (counts[1] >= 3 && counts[9] >= 3 && counts[2] >= 1 && counts[3] >= 1 &&
                     counts[4] >= 1 && counts[5] >= 1 && counts[6] >= 1 && counts[7] >= 1 && counts[8] >= 1) {
-                    breakdown.push({ name: '九蓮寶燈', fan: MAX_FAN });
-                    return { totalFan: MAX_FAN, breakdown };
+                    breakdown.push({ name: '九蓮寶燈', fan: limit });
+                    return { totalFan: limit, breakdown };
                 }
             }
         }
 
-        // All Pungs (對對糊)
+        // All Pungs (對對糊), or All Concealed Pungs (坎坎糊) in its place
         const isAllPungs = allSets.every(s => s.type !== 'chow');
         if (isAllPungs) {
-            breakdown.push({ name: '對對糊', fan: 3 });
+            if (Scoring._allPungsConcealed(hand, decomp, context)) {
+                breakdown.push({ name: '坎坎糊', fan: 8 });
+            } else {
+                breakdown.push({ name: '對對糊', fan: 3 });
+            }
+        }
+
+        // Mixed Terminals (混么九) — only terminals and honours
+        if (allTiles.every(t => t.isTerminalOrHonour)) {
+            breakdown.push({ name: '混么九', fan: 4 });
         }
 
         // Mixed/Full Flush
@@ -117,25 +164,12 @@ class Scoring {
             }
         }
 
-        // Self-drawn (自摸)
-        if (context.selfDrawn) {
-            breakdown.push({ name: '自摸', fan: 1 });
-        }
-
         // Concealed Hand (門前清) — no exposed melds and win by discard
         if (hand.melds.length === 0 && !context.selfDrawn) {
             breakdown.push({ name: '門前清', fan: 1 });
         }
 
-        // Last tile win
-        if (context.isLastTile) {
-            breakdown.push({ name: '海底撈月', fan: 1 });
-        }
-
-        // Win on Kong draw
-        if (context.isKongDraw) {
-            breakdown.push({ name: '槓上自摸', fan: 1 });
-        }
+        Scoring._checkWinCircumstances(context, breakdown);
 
         // Small Three Dragons (小三元) — 2 dragon pungs + dragon pair
         const dragonPungCount = allSets.filter(s => {
@@ -161,21 +195,66 @@ class Scoring {
             breakdown.push({ name: '小四喜', fan: 6 });
         }
         if (windPungCount === 4) {
-            breakdown.push({ name: '大四喜', fan: MAX_FAN });
+            breakdown.push({ name: '大四喜', fan: limit, limit: true });
         }
 
         // Flowers and Seasons
-        Scoring._checkFlowers(hand, context, breakdown);
+        Scoring._checkFlowers(hand, context, breakdown, limit);
 
-        let totalFan = breakdown.reduce((s, b) => s + b.fan, 0);
-        return { totalFan: Math.min(totalFan, MAX_FAN), breakdown };
+        return Scoring._total(breakdown, limit);
     }
 
-    static _checkFlowers(hand, context, breakdown) {
+    /** Sum a breakdown up to the limit; a limit hand supersedes the smaller items it would otherwise add to */
+    static _total(breakdown, limit) {
+        const limitHands = breakdown.filter(b => b.limit);
+        if (limitHands.length > 0) {
+            return { totalFan: limit, breakdown: limitHands.map(({ name, fan }) => ({ name, fan })) };
+        }
+
+        const totalFan = breakdown.reduce((s, b) => s + b.fan, 0);
+        return { totalFan: Math.min(totalFan, limit), breakdown };
+    }
+
+    /** Fan for how the winning tile came, whatever the shape of the hand */
+    static _checkWinCircumstances(context, breakdown) {
+        // Self-drawn (自摸)
+        if (context.selfDrawn) {
+            breakdown.push({ name: '自摸', fan: 1 });
+        }
+
+        // Last tile win: self-drawn (海底撈月) or on the discard after it (河底撈魚)
+        if (context.isLastTile && context.selfDrawn) {
+            breakdown.push({ name: '海底撈月', fan: 1 });
+        } else if (context.isLastTile && !context.robbingKong) {
+            breakdown.push({ name: '河底撈魚', fan: 1 });
+        }
+
+        // Win on Kong draw
+        if (context.isKongDraw) {
+            breakdown.push({ name: '槓上自摸', fan: 1 });
+        }
+
+        // Win on a flower replacement (花上自摸)
+        if (context.isFlowerDraw && context.selfDrawn) {
+            breakdown.push({ name: '花上自摸', fan: 1 });
+        }
+
+        // Robbing the Kong (搶槓) — won on another player's added-kong tile
+        if (context.robbingKong) {
+            breakdown.push({ name: '搶槓', fan: 1 });
+        }
+    }
+
+    static _checkFlowers(hand, context, breakdown, limit) {
         const flowers = hand.flowers.filter(t => t.suit === SUITS.FLOWER);
         const seasons = hand.flowers.filter(t => t.suit === SUITS.SEASON);
         const seatWind = context.seatWind; // 1:E, 2:S, 3:W, 4:N
 
+        // No bonus tiles at all (無花)
+        if (hand.flowers.length === 0) {
+            breakdown.push({ name: '無花', fan: 1 });
+        }
+
         // Flower set (梅 1, 蘭 2, 竹 3, 菊 4)
         if (flowers.length === 4) {
             breakdown.push({ name: '花牌: 一台', fan: 2 });
@@ -200,10 +279,45 @@ class Scoring {
 
         // All 8 bonus tiles (八仙過海)
         if (hand.flowers.length === 8) {
-            breakdown.push({ name: '八仙過海', fan: MAX_FAN });
+            breakdown.push({ name: '八仙過海', fan: limit, limit: true });
         }
     }
 
+    /**
+     * Fan for a flower win (花糊), which is scored on the bonus tiles alone:
+     * 八仙過海 is a limit hand, 七搶一 a fixed 3番.
+     * @param {string} kind — '八仙過海' or '七搶一'
+     * @param {Object} context — as for calculate()
+     */
+    static scoreFlowerWin(kind, context) {
+        const limit = (context.rules || RuleSet.preset(DEFAULT_RULE_SET)).maxFan;
+        const fan = kind === '八仙過海' ? limit : 3;
+        return { totalFan: fan, breakdown: [{ name: kind, fan }], decomposition: null };
+    }
+
+    /**
+     * 天糊 (dealer wins on the deal) or 地糊 (another seat wins on the
+     * dealer's first discard), else null. Any claim or kong spoils it.
+     */
+    static _firstTurnWin(hand, context) {
+        if (context.turnCount !== 0 || context.robbingKong || hand.melds.length > 0) return null;
+        if ((context.players || []).some(p => p.melds.length > 0)) return null;
+        const isDealer = context.seatWind === WINDS.EAST;
+        if (isDealer && context.selfDrawn) return '天糊';
+        if (!isDealer && !context.selfDrawn) return '地糊';
+        return null;
+    }
+
+    /**
+     * Every pung made in hand: no melds but concealed kongs, and on a
+     * discard win the claimed tile must finish the pair, not a pung.
+     */
+    static _allPungsConcealed(hand, decomp, context) {
+        if (!hand.melds.every(m => m.type === MELD_TYPE.KONG_CONCEALED)) return false;
+        if (context.selfDrawn) return true;
+        return !!context.winningTile && decomp.pair === context.winningTile.key;
+    }
+
     static _checkFlush(allTiles, melds, breakdown) {
         const numberTiles = allTiles.filter(t => t.isNumberSuit);
         const honourTiles = allTiles.filter(t => t.isHonour);
@@ -227,12 +341,12 @@ class Scoring {
     }
 
     /**
-     * Convert fan count to points.
-     * 1番=2, 2番=4, ... 10番=1024. Capped at 10番.
+     * Convert fan count to points on a discard win, from the rule set's fan table.
+     * @param {number} fan
+     * @param {RuleSet} [rules]
      */
-    static fanToPoints(fan) {
-        const cappedFan = Math.min(fan, 10);
-        return Math.pow(2, cappedFan);
+    static fanToPoints(fan, rules = RuleSet.preset(DEFAULT_RULE_SET)) {
+        return rules.points(fan, false);
     }
 
     /**
@@ -242,71 +356,121 @@ class Scoring {
      *   deltas[i] = net score change for player i (positive = gain, negative = loss)
      */
     static calculatePayment(game) {
-        const deltas = [0, 0, 0, 0];
-        const details = [];
-
         if (game.winner < 0) {
             // Draw — no payments
-            details.push('荒莊 — 冇人需要付分');
-            return { deltas, details, responsible: -1 };
+            return { deltas: [0, 0, 0, 0], details: ['荒莊 — 冇人需要付分'], responsible: -1 };
+        }
+        if (game.wins.length === 1) {
+            return Scoring._paymentForWin(game, game.winner, game.winInfo);
         }
 
-        const winner = game.winner;
-        const info = game.winInfo;
+        // 一炮多響: the discarder pays each winner separately
+        const deltas = [0, 0, 0, 0];
+        const details = [];
+        for (const win of game.wins) {
+            const result = Scoring._paymentForWin(game, win.player, win.info);
+            for (let i = 0; i < 4; i++) deltas[i] += result.deltas[i];
+            details.push(`${Scoring._playerName(win.player)}食糊 — ${result.details.join('，')}`);
+        }
+        return { deltas, details, responsible: -1 };
+    }
+
+    /** Payment for one winning hand */
+    static _paymentForWin(game, winner, info) {
+        const rules = game.rules;
+        const deltas = [0, 0, 0, 0];
+        const details = [];
         const totalFan = info.scoring.totalFan;
-        const basePoints = Scoring.fanToPoints(totalFan);
         const isDealer = winner === game.dealerIndex;
-
-        if (info.selfDrawn) {
+        // 莊家 rules: if the dealer wins, losers pay double; if the dealer loses, the dealer pays double
+        const dealerFactor = payer => (rules.dealerDoubling && (isDealer || payer === game.dealerIndex)) ? 2 : 1;
+        // 連莊: each hand the dealer has kept adds a fan or a base unit to payments to or from the dealer
+        const streak = rules.continuationBonus !== 'none' ? (game.dealerStreak || 0) : 0;
+        const pointsFor = (payer, selfDrawn) => {
+            const bonus = (isDealer || payer === game.dealerIndex) ? streak : 0;
+            if (rules.continuationBonus === 'fan') return rules.points(totalFan + bonus, selfDrawn);
+            return rules.points(totalFan, selfDrawn) + bonus * rules.points(0, selfDrawn);
+        };
+        const pay = (payer, amount) => {
+            deltas[payer] -= amount;
+            deltas[winner] += amount;
+        };
+
+        if (info.flowerWin) {
+            // === 花糊 === never 包 or 半銃: everyone pays for 八仙過海, the robbed player for 七搶一
+            if (info.fromPlayer >= 0) {
+                pay(info.fromPlayer, pointsFor(info.fromPlayer, false) * dealerFactor(info.fromPlayer));
+                details.push(`七搶一：搶${Scoring._playerName(info.fromPlayer)}嘅第八隻花，一家包晒`);
+            } else {
+                const basePoints = rules.points(totalFan, true);
+                for (let i = 0; i < 4; i++) {
+                    if (i !== winner) pay(i, pointsFor(i, true) * dealerFactor(i));
+                }
+                details.push(`八仙過海：每家付 ${basePoints} 分${rules.dealerDoubling ? '（莊家付/收雙倍）' : ''}`);
+            }
+        } else if (info.selfDrawn) {
             // === 自摸 ===
+            const basePoints = rules.points(totalFan, true);
             // Check 包自摸 first
             const responsible = Scoring.checkBaoPai(game, winner);
 
             if (responsible >= 0) {
                 // 包自摸: responsible player pays all
-                const totalPay = basePoints * 3; // pays for all 3 losers
-                deltas[responsible] -= totalPay;
-                deltas[winner] += totalPay;
+                let totalPay = 0; // pays for all 3 losers
+                for (let i = 0; i < 4; i++) {
+                    if (i !== winner) totalPay += pointsFor(i, true);
+                }
+                pay(responsible, totalPay);
                 details.push(`包自摸！${Scoring._playerName(responsible)} 需要包賠全部 ${totalPay} 分`);
+                details.push(Scoring._payersLine(deltas, winner));
                 return { deltas, details, responsible };
             }
 
             // Normal 自摸: each of the 3 losers pays
             for (let i = 0; i < 4; i++) {
-                if (i === winner) continue;
-                let pay = basePoints;
-                // 莊家 rules: if dealer wins, losers pay double; if dealer loses, dealer pays double
-                if (isDealer) {
-                    pay = basePoints * 2; // dealer self-draws: losers pay double
-                } else if (i === game.dealerIndex) {
-                    pay = basePoints * 2; // loser is dealer: pays double
-                }
-                deltas[i] -= pay;
-                deltas[winner] += pay;
+                if (i !== winner) pay(i, pointsFor(i, true) * dealerFactor(i));
             }
-            details.push(`自摸：每家付 ${basePoints} 分（莊家付/收雙倍）`);
-            details.push(`合共 +${deltas[winner]} 分`);
+            details.push(`自摸：每家付 ${basePoints} 分${rules.dealerDoubling ? '（莊家付/收雙倍）' : ''}`);
         } else {
             // === 出銃 ===
             const fromPlayer = info.fromPlayer;
 
-            // 半銃制: discarder pays all
-            const totalPay = basePoints;
-
-            // Dealer multiplier
-            let pay = totalPay;
-            if (isDealer || fromPlayer === game.dealerIndex) {
-                pay = totalPay * 2; // involves dealer: double
+            if (rules.payment === 'shared') {
+                // 半銃: discarder pays half, the other two a quarter each. The total is
+                // rounded once; the other two pay whole points and the discarder the rest
+                let exactTotal = 0;
+                for (let i = 0; i < 4; i++) {
+                    if (i === winner) continue;
+                    const share = pointsFor(i, false) * dealerFactor(i) / (i === fromPlayer ? 2 : 4);
+                    exactTotal += share;
+                    if (i !== fromPlayer) {
+                        pay(i, Math.floor(share));
+                        exactTotal -= Math.floor(share);
+                    }
+                }
+                pay(fromPlayer, Math.ceil(exactTotal));
+                details.push(`半銃：${Scoring._playerName(fromPlayer)}出銃付一半，其餘兩家各付四分之一`);
+            } else {
+                // 全銃: discarder pays all
+                pay(fromPlayer, pointsFor(fromPlayer, false) * dealerFactor(fromPlayer));
+                details.push(`全銃：${Scoring._playerName(fromPlayer)}出銃，一家包晒`);
             }
+        }
 
-            deltas[fromPlayer] -= pay;
-            deltas[winner] += pay;
-            details.push(`出銃：${Scoring._playerName(fromPlayer)} 付 ${pay} 分`);
+        if (streak > 0) {
+            details.push(`連莊 ${streak}：莊家收/付${rules.continuationBonus === 'fan' ? `加 ${streak} 番` : `加 ${streak} 底`}`);
         }
 
+        details.push(Scoring._payersLine(deltas, winner));
         return { deltas, details, responsible: -1 };
     }
 
+    /** What each loser pays, e.g. 下家付 8 分 · 對家付 8 分（共 16 分） */
+    static _payersLine(deltas, winner) {
+        const payers = [0, 1, 2, 3].filter(i => deltas[i] < 0);
+        return payers.map(i => `${Scoring._playerName(i)}付 ${-deltas[i]} 分`).join(' · ') + `（共 ${deltas[winner]} 分）`;
+    }
+
     /**
      * Check 包自摸 (responsibility payment) conditions.
      * Returns the player index who is responsible, or -1 if none.
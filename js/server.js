@@ -0,0 +1,414 @@
+// ============================================================
+// server.js — Online play: one authoritative Game per table
+// ============================================================
+//
+//   node js/server.js [port]      (default 8080)
+//
+// Serves the game's page and assets over HTTP, and tables over WebSocket at
+// /ws?room=<name>&name=<player>. Everyone joining a room sits at the same
+// table, in seat order; the seats nobody takes are played by the AI, and
+// so is the seat of anyone who drops out until someone sits back down.
+// The first to sit down hosts the table and alone can start a match; if
+// they leave, the next player round the table takes over.
+//
+// The Game runs here only. Each client is sent a view of it showing what
+// that seat may see — its own concealed tiles, and everyone's melds,
+// flowers and discards — and sends back intents, which are checked
+// against the seat to act and its legal moves before Game sees them.
+//
+// Client → server
+//   { type: 'start', settings: { difficulty, matchFormat, rules, seed } } — host only
+//   { type: 'draw' }   { type: 'discard', tile: id }   { type: 'selfWin' }
+//   { type: 'kong', action, key }   { type: 'claim', action, combo }   { type: 'pass' }
+//   { type: 'nextRound' } — the next deal starts once every player has sent it
+// Server → client
+//   { type: 'welcome', seat, room }   { type: 'lobby', names, host, started }
+//   { type: 'view', view }            { type: 'event', event, data }
+//   { type: 'error', message }
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const engine = require('./engine');
+const { acceptWebSocket } = require('./websocket');
+
+const {
+    Game, GAME_STATE, GAME_EVENT, RealTimeScheduler, RuleSet, Random, MATCH_FORMATS, DIFFICULTY
+} = engine;
+
+const ROOT = path.join(__dirname, '..');
+const DEFAULT_PORT = 8080;
+
+// All that is served over HTTP: the page and the folders it loads from
+const PUBLIC_FILES = ['index.html', 'manifest.json'];
+const PUBLIC_DIRS = ['css', 'js', 'img', 'audio'];
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.mp3': 'audio/mpeg',
+    '.ogg': 'audio/ogg',
+    '.wav': 'audio/wav'
+};
+
+// Events everyone at the table may hear about, with their tiles as ids
+const PUBLIC_EVENTS = [
+    GAME_EVENT.TILE_DISCARDED, GAME_EVENT.MELD_DECLARED, GAME_EVENT.FLOWER_REPLACED,
+    GAME_EVENT.ROUND_WON, GAME_EVENT.ROUND_DRAWN, GAME_EVENT.PAYMENT_APPLIED, GAME_EVENT.GAME_ENDED
+];
+
+// States in which a human is being waited on: only that seat sees them
+const HUMAN_STATES = [GAME_STATE.PLAYER_TURN, GAME_STATE.PLAYER_DISCARD, GAME_STATE.CLAIMING];
+
+/** Tiles as ids, melds as in Hand.toJSON */
+const tileIds = tiles => tiles.map(t => t.id);
+const meldView = m => ({ type: m.type, tiles: tileIds(m.tiles), fromPlayer: m.fromPlayer });
+
+// ===================== Table =====================
+
+/** One room: up to four connections around one Game */
+class Table {
+    /**
+     * @param {string} room
+     * @param {Object} [options]
+     * @param {Function} [options.createScheduler] — a fresh scheduler for each match; real time by default
+     */
+    constructor(room, options = {}) {
+        this.room = room;
+        this.createScheduler = options.createScheduler || (() => new RealTimeScheduler());
+        this.seats = [null, null, null, null]; // { ws, name } for each connected player
+        this.host = -1; // The seat that may start a match
+        this.game = null;
+        this.ready = new Set(); // Seats that have asked for the next deal
+        this._viewQueued = false;
+    }
+
+    get empty() {
+        return this.seats.every(s => !s);
+    }
+
+    /**
+     * Seat a new connection, or turn it away (and close it) if all four seats
+     * are taken. Returns the seat or -1; the caller must already be listening
+     * for 'close' so that it can leave() whatever seat the connection got.
+     */
+    join(ws, name) {
+        const seat = this.seats.findIndex(s => !s);
+        if (seat < 0) {
+            this._send(ws, { type: 'error', message: '呢枱已經坐滿' });
+            ws.close();
+            return -1;
+        }
+        this.seats[seat] = { ws, name: String(name || '').slice(0, 12) || `玩家 ${seat + 1}` };
+        if (this.host < 0) this.host = seat;
+        ws.on('message', text => this._receive(seat, text));
+        this._send(ws, { type: 'welcome', seat, room: this.room });
+        if (this.game && this.game.state !== GAME_STATE.GAME_END) this.game.setSeatType(seat, 'human');
+        this._broadcastLobby();
+        if (this.game) this._sendViews();
+        return seat;
+    }
+
+    /** A player has gone: the AI takes the seat over */
+    leave(seat) {
+        if (!this.seats[seat]) return;
+        this.seats[seat] = null;
+        this.ready.delete(seat);
+        if (seat === this.host) this.host = this.seats.findIndex(s => s);
+        if (this.empty) {
+            if (this.game) this.game.abandon();
+            this.game = null;
+            return;
+        }
+        if (this.game && this.game.state !== GAME_STATE.GAME_END) {
+            this.game.setSeatType(seat, 'ai');
+            this._checkReady();
+        }
+        this._broadcastLobby();
+    }
+
+    _receive(seat, text) {
+        let msg;
+        try {
+            msg = JSON.parse(text);
+        } catch (e) {
+            return;
+        }
+        if (!msg || typeof msg.type !== 'string') return;
+        if (msg.type === 'start') {
+            if (seat === this.host) this._start(msg.settings || {});
+            else this._send(this.seats[seat].ws, { type: 'error', message: '只有房主可以開局' });
+        } else if (msg.type === 'nextRound') this._nextRound(seat);
+        else if (!this._intent(seat, msg)) this._send(this.seats[seat].ws, { type: 'error', message: `唔可以 ${msg.type}` });
+    }
+
+    /** Deal a new match with the connected players seated as humans */
+    _start(settings) {
+        if (this.game && this.game.state !== GAME_STATE.GAME_END) return; // Already playing
+        const game = new Game({ scheduler: this.createScheduler() });
+        if (Object.values(DIFFICULTY).includes(settings.difficulty)) game.difficulty = settings.difficulty;
+        if (MATCH_FORMATS.some(f => f.id === settings.matchFormat)) game.matchFormat = settings.matchFormat;
+        if (settings.rules) game.rules = RuleSet.preset(settings.rules);
+        game.fixedSeed = Random.parseSeed(settings.seed);
+        game.seatTypes = this.seats.map(s => s ? 'human' : 'ai');
+
+        game.on(GAME_EVENT.STATE_CHANGED, () => this._queueViews());
+        game.on(GAME_EVENT.UPDATED, () => this._queueViews());
+        for (const event of PUBLIC_EVENTS) {
+            game.on(event, data => this._broadcast({ type: 'event', event, data: this._eventData(event, data) }));
+        }
+
+        this.game = game;
+        this.ready.clear();
+        game.startGame();
+        game.rollDice();
+        game.confirmDice();
+        this._broadcastLobby();
+    }
+
+    /**
+     * Carry out a seat's move if it is that seat's to make and a legal one.
+     * @returns {boolean} false if it was refused
+     */
+    _intent(seat, msg) {
+        const game = this.game;
+        if (!game || game.humanToAct() !== seat) return false;
+        switch (msg.type) {
+            case 'draw':
+                return game.playerDraw();
+            case 'discard': {
+                const tile = game.hands[seat].concealed.find(t => t.id === msg.tile);
+                return !!tile && game.playerDiscard(tile);
+            }
+            case 'selfWin':
+                return game.canPlayerSelfWin() && game.playerSelfWin();
+            case 'kong':
+                return game.playerKongOptions().some(o => o.action === msg.action && o.key === msg.key) &&
+                    game.playerKong(msg.action, msg.key);
+            case 'claim': {
+                if (game.state !== GAME_STATE.CLAIMING || !game.pendingClaims.includes(msg.action)) return false;
+                if (msg.action !== 'chow') return game.playerClaim(msg.action);
+                const combo = Array.isArray(msg.combo) &&
+                    game.hands[seat].canChow(game.lastDiscard).find(c => c[0] === msg.combo[0] && c[1] === msg.combo[1]);
+                return !!combo && game.playerClaim('chow', combo);
+            }
+            case 'pass':
+                return game.playerPass();
+            default:
+                return false;
+        }
+    }
+
+    _nextRound(seat) {
+        if (!this.game || this.game.state !== GAME_STATE.ROUND_END) return;
+        this.ready.add(seat);
+        this._checkReady();
+    }
+
+    /** Deal on once everyone still at the table has finished looking at the scores */
+    _checkReady() {
+        if (!this.game || this.game.state !== GAME_STATE.ROUND_END) return;
+        if (!this.seats.every((s, seat) => !s || this.ready.has(seat))) return;
+        this.ready.clear();
+        this.game.nextRound();
+    }
+
+    // ===================== Views =====================
+
+    /** Send fresh views once the current burst of Game updates is over */
+    _queueViews() {
+        if (this._viewQueued) return;
+        this._viewQueued = true;
+        setImmediate(() => {
+            this._viewQueued = false;
+            this._sendViews();
+        });
+    }
+
+    _sendViews() {
+        if (!this.game) return;
+        this.seats.forEach((s, seat) => {
+            if (s) this._send(s.ws, { type: 'view', view: this.viewFor(seat) });
+        });
+    }
+
+    /**
+     * The game as seat sees it. Other seats' concealed tiles are only a
+     * count until the round is over, and whatever a human elsewhere at the
+     * table is deciding shows as somebody else's turn.
+     */
+    viewFor(seat) {
+        const game = this.game;
+        const reveal = game.state === GAME_STATE.ROUND_END || game.state === GAME_STATE.GAME_END;
+        const acting = game.humanToAct();
+        const mine = acting === seat;
+        const state = HUMAN_STATES.includes(game.state) && !mine ? GAME_STATE.AI_TURN : game.state;
+        const playing = [GAME_STATE.PLAYER_TURN, GAME_STATE.AI_TURN, GAME_STATE.CLAIMING].includes(state);
+        const hand = game.hands[seat];
+
+        return {
+            state,
+            acting: mine ? seat : -1,
+            names: this.seats.map(s => s ? s.name : null),
+            seatOrder: game.seatOrder.slice(),
+            hands: game.hands.map((h, i) => h && {
+                concealed: i === seat || reveal ? tileIds(h.concealed) : h.concealed.length,
+                melds: h.melds.map(meldView),
+                flowers: tileIds(h.flowers),
+                discards: tileIds(h.discards)
+            }),
+            wall: {
+                remaining: game.wall.remaining,
+                dealt: game.wall.tiles.length > 0,
+                start: game.wall.start,
+                drawIndex: game.wall.drawIndex,
+                deadDrawn: game.wall.replacementsDrawn
+            },
+            currentPlayer: game.currentPlayer,
+            dealerIndex: game.dealerIndex,
+            dealerStreak: game.dealerStreak,
+            roundWind: game.roundWind,
+            roundNumber: game.roundNumber,
+            seatWinds: game.seatWinds.slice(),
+            totalRounds: game.totalRounds,
+            scores: game.scores.slice(),
+            rules: game.rules.toJSON(),
+            difficulty: game.difficulty,
+            matchFormat: game.matchFormat,
+            diceResults: game.diceResults.slice(),
+            diceRoller: game.diceRoller,
+            breakDice: game.breakDice.slice(),
+            lastDiscard: game.lastDiscard ? game.lastDiscard.id : null,
+            lastDiscardPlayer: game.lastDiscardPlayer,
+            drawnTile: game._drawnTile && game.currentPlayer === seat ? game._drawnTile.id : null,
+            pendingClaims: mine && game.state === GAME_STATE.CLAIMING ? game.pendingClaims.slice() : [],
+            pendingRob: game.pendingRob ? { player: game.pendingRob.player, tile: game.pendingRob.tile.id } : null,
+            canSelfWin: mine && game.canPlayerSelfWin(),
+            kongOptions: mine ? game.playerKongOptions() : [],
+            waits: playing && hand ? game.getPlayerWaits(seat).map(w => ({ key: w.key, unseen: w.unseen, fan: w.fan })) : [],
+            winner: game.winner,
+            winInfo: game.winInfo,
+            wins: game.wins,
+            paymentInfo: game.paymentInfo,
+            matchOver: reveal && game.isMatchOver(),
+            // The seed would tell what every later deal holds, so it stays here until the match is over
+            seed: game.state === GAME_STATE.GAME_END ? game.seed : null,
+            roundLog: reveal ? game.roundLog.map(({ seed, ...event }) => event) : []
+        };
+    }
+
+    /** An event's payload as sent: tiles by id */
+    _eventData(event, data) {
+        switch (event) {
+            case GAME_EVENT.TILE_DISCARDED:
+                return { player: data.player, tile: data.tile.id };
+            case GAME_EVENT.MELD_DECLARED:
+                return { player: data.player, meld: data.meld ? meldView(data.meld) : null, from: data.from };
+            case GAME_EVENT.FLOWER_REPLACED:
+                return { player: data.player, flowers: tileIds(data.flowers) };
+            default:
+                return JSON.parse(JSON.stringify(data));
+        }
+    }
+
+    _broadcastLobby() {
+        this._broadcast({
+            type: 'lobby', names: this.seats.map(s => s ? s.name : null), host: this.host, started: !!this.game
+        });
+    }
+
+    _broadcast(msg) {
+        for (const s of this.seats) {
+            if (s) this._send(s.ws, msg);
+        }
+    }
+
+    _send(ws, msg) {
+        ws.send(JSON.stringify(msg));
+    }
+}
+
+// ===================== HTTP =====================
+
+/** Is this file (relative to the game's folder) one of the page's own? */
+function isPublic(relative) {
+    const parts = relative.split(path.sep);
+    if (parts.length === 1) return PUBLIC_FILES.includes(parts[0]);
+    return PUBLIC_DIRS.includes(parts[0]);
+}
+
+/** Serve one of the game's files (see PUBLIC_FILES / PUBLIC_DIRS), and nothing else */
+function serveStatic(req, res) {
+    let file;
+    try {
+        const pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+        file = path.join(ROOT, pathname === '/' ? 'index.html' : pathname);
+    } catch (e) {
+        file = null; // Malformed URL
+    }
+    if (!file || !file.startsWith(ROOT + path.sep)) {
+        res.writeHead(400);
+        res.end();
+        return;
+    }
+    if (!isPublic(path.relative(ROOT, file))) {
+        res.writeHead(404);
+        res.end('Not found');
+        return;
+    }
+    fs.readFile(file, (err, data) => {
+        if (err) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream' });
+        res.end(data);
+    });
+}
+
+/**
+ * An HTTP server for the game and its tables (not yet listening).
+ * @param {Object} [options] — passed on to each Table
+ */
+function createServer(options = {}) {
+    const tables = new Map(); // room -> Table
+    const server = http.createServer(serveStatic);
+
+    server.on('upgrade', (req, socket, head) => {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname !== '/ws') {
+            socket.destroy();
+            return;
+        }
+        const ws = acceptWebSocket(req, socket, head);
+        if (!ws) return;
+        const room = (url.searchParams.get('room') || 'lobby').slice(0, 32);
+        if (!tables.has(room)) tables.set(room, new Table(room, options));
+        const table = tables.get(room);
+        // Listening first: join() may already turn the connection away and close it
+        ws.on('close', () => {
+            const seat = table.seats.findIndex(s => s && s.ws === ws);
+            if (seat >= 0) table.leave(seat);
+            if (table.empty && tables.get(room) === table) tables.delete(room);
+        });
+        table.join(ws, url.searchParams.get('name'));
+    });
+
+    server.tables = tables;
+    return server;
+}
+
+module.exports = { Table, createServer };
+
+if (require.main === module) {
+    const port = Number(process.argv[2]) || DEFAULT_PORT;
+    createServer().listen(port, () => {
+        console.log(`香港麻雀 server: http://localhost:${port}/ (tables at ws://localhost:${port}/ws?room=…)`);
+    });
+}
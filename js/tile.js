@@ -66,9 +66,20 @@ class Tile {
         return `${this.suit}_${this.value}`;
     }
 
+    /** Stand-in tile for a grouping key such as 'tung_5' (id -1), for display */
+    static fromKey(key) {
+        const parts = key.split('_');
+        return new Tile(parts[0], parseInt(parts[1]), -1);
+    }
+
     static compare(a, b) {
         return a.sortKey - b.sortKey;
     }
+
+    /** Tiles are saved by id; see createTileLookup() for the reverse */
+    toJSON() {
+        return this.id;
+    }
 }
 
 /** Generate all 136 tiles */
@@ -106,3 +117,19 @@ function createAllTiles() {
     }
     return tiles;
 }
+
+/** Fresh set of all tiles indexed by id, for restoring saved games */
+function createTileLookup() {
+    const lookup = [];
+    for (const t of createAllTiles()) lookup[t.id] = t;
+    return lookup;
+}
+
+/** The 34 playable tile kinds as grouping keys ('wan_1' … 'dragon_3'), in sort order */
+function createTileKeys() {
+    const keys = [];
+    for (const t of createAllTiles()) {
+        if (!t.isBonus && !keys.includes(t.key)) keys.push(t.key);
+    }
+    return keys;
+}
@@ -14,6 +14,8 @@ class UI {
         this.chowCombos = [];
         this.showChowSelect = false;
         this.showingScorePanel = true;
+        this.onlineMode = false; // 網上 picked in the menu's players row
+        this.waits = []; // The viewed seat's 聽牌, kept up to date by refreshWaits()
 
         // Volume panel states
         this.showAudioPanel = false;
@@ -81,7 +83,7 @@ class UI {
         // Title panel
         const isPortrait = this.renderer.isPortrait;
         const panelW = isPortrait ? Math.min(W * 0.95, 420) : 500;
-        const panelH = isPortrait ? Math.min(H * 0.9, 650) : 520;
+        const panelH = isPortrait ? Math.min(H * 0.9, 775) : 630;
         const px = (W - panelW) / 2;
         const py = (H - panelH) / 2 - 20;
 
@@ -108,7 +110,10 @@ class UI {
 
         ctx.font = `${isPortrait ? 14 : 16}px "Noto Sans TC", sans-serif`;
         ctx.fillStyle = '#AADDAA';
-        ctx.fillText('單人對戰電腦', W / 2, py + (isPortrait ? 90 : 95));
+        const humanCount = this.onlineMode ? 0 : this.game.humanSeats().length;
+        const subtitle = this.onlineMode ? '網上對戰 · 空位由電腦頂上'
+            : humanCount > 1 ? `${humanCount} 人同枱 · 輪流用同一部機` : '單人對戰電腦';
+        ctx.fillText(subtitle, W / 2, py + (isPortrait ? 90 : 95));
 
         // Decorative line
         ctx.strokeStyle = '#c4973a';
@@ -140,22 +145,68 @@ class UI {
 
         optY += isPortrait ? 65 : 55;
 
-        // ----- Min Fan -----
+        // ----- Players at this screen (2–4 = hot-seat, passing the device round), or online -----
         ctx.font = 'bold 16px "Noto Sans TC", sans-serif';
         ctx.fillStyle = '#E8D8A0';
         ctx.textAlign = 'left';
-        ctx.fillText('起糊:', px + 40, optY);
-
-        const fanOptions = [1, 3];
-        const fanNames = ['1番', '3番'];
-        for (let i = 0; i < 2; i++) {
-            const bx = px + (isPortrait ? 85 : 180) + i * 110;
-            const bw = 100;
-            const bh = 34;
-            const selected = this.game.minFan === fanOptions[i];
-            this._drawMenuButton(bx, optY - 17, bw, bh, fanNames[i], selected);
-            this.buttons.push({ x: bx, y: optY - 17, w: bw, h: bh, action: 'minFan', value: fanOptions[i] });
+        ctx.fillText('玩家:', px + 40, optY);
+
+        const humansX = px + (isPortrait ? 85 : 130);
+        const humansW = (px + panelW - 30 - humansX - 40) / 5;
+        for (let n = 1; n <= 4; n++) {
+            const bx = humansX + (n - 1) * (humansW + 10);
+            this._drawMenuButton(bx, optY - 17, humansW, 34, n === 1 ? '單人' : `${n} 人`, humanCount === n);
+            this.buttons.push({ x: bx, y: optY - 17, w: humansW, h: 34, action: 'humans', value: n });
         }
+        const onlineX = humansX + 4 * (humansW + 10);
+        this._drawMenuButton(onlineX, optY - 17, humansW, 34, '網上', this.onlineMode);
+        this.buttons.push({ x: onlineX, y: optY - 17, w: humansW, h: 34, action: 'online' });
+
+        optY += isPortrait ? 65 : 55;
+
+        // ----- Match Format (how many 圈) -----
+        ctx.font = 'bold 16px "Noto Sans TC", sans-serif';
+        ctx.fillStyle = '#E8D8A0';
+        ctx.textAlign = 'left';
+        ctx.fillText('賽制:', px + 40, optY);
+
+        // Three formats, then the 搶位 toggle at the end of the row
+        const fmtX = px + (isPortrait ? 85 : 130);
+        const fmtW = (px + panelW - 30 - fmtX - 30) / 4;
+        MATCH_FORMATS.forEach((format, i) => {
+            const bx = fmtX + i * (fmtW + 10);
+            const selected = this.game.matchFormat === format.id;
+            this._drawMenuButton(bx, optY - 17, fmtW, 34, format.name, selected);
+            this.buttons.push({ x: bx, y: optY - 17, w: fmtW, h: 34, action: 'matchFormat', value: format.id });
+        });
+        const seatX = fmtX + 3 * (fmtW + 10);
+        this._drawMenuButton(seatX, optY - 17, fmtW, 34, this.game.seatDraw ? '搶位 ✓' : '搶位', this.game.seatDraw);
+        this.buttons.push({ x: seatX, y: optY - 17, w: fmtW, h: 34, action: 'seatDraw' });
+
+        optY += isPortrait ? 65 : 55;
+
+        // ----- Rule Set (起糊, 番 cap, payment) — tap to cycle presets -----
+        ctx.font = 'bold 16px "Noto Sans TC", sans-serif';
+        ctx.fillStyle = '#E8D8A0';
+        ctx.textAlign = 'left';
+        ctx.fillText('規則:', px + 40, optY);
+
+        const rulesX = px + (isPortrait ? 85 : 180);
+        const rulesW = 210;
+        this._drawMenuButton(rulesX, optY - 17, rulesW, 34, `${this.game.rules.name} ▸`, true);
+        this.buttons.push({ x: rulesX, y: optY - 17, w: rulesW, h: 34, action: 'ruleSet' });
+
+        ctx.font = '11px "Noto Sans TC", sans-serif';
+        ctx.fillStyle = '#AADDAA';
+        ctx.textAlign = 'left';
+        ctx.fillText(this.game.rules.describe(), rulesX, optY + 29);
+
+        // Seed (beside the rules) — tap to enter a seed and replay the same deals
+        const seedX = px + (isPortrait ? 85 : 180) + 2 * 110;
+        const seedW = px + panelW - 30 - seedX;
+        const seedLabel = this.game.fixedSeed !== null ? `種子 ${this.game.fixedSeed}` : '隨機種子';
+        this._drawMenuButton(seedX, optY - 17, seedW, 34, seedLabel, this.game.fixedSeed !== null);
+        this.buttons.push({ x: seedX, y: optY - 17, w: seedW, h: 34, action: 'seed' });
 
         optY += 55;
 
@@ -300,10 +351,11 @@ class UI {
 
         optY += isPortrait ? 250 : 140;
 
-        // ----- Start Game Button -----
-        const startW = 200;
+        // ----- Start Game Button (+ Resume when a save exists) -----
+        const hasSave = SaveStore.hasSave();
+        const startW = hasSave ? 170 : 200;
         const startH = 50;
-        const startX = (W - startW) / 2;
+        const startX = hasSave ? W / 2 - startW - 8 : (W - startW) / 2;
         const startY = optY + 15;
 
         ctx.save();
@@ -322,11 +374,17 @@ class UI {
         ctx.fillStyle = '#FFFFFF';
         ctx.textAlign = 'center';
         ctx.textBaseline = 'middle';
-        ctx.fillText('開始遊戲', W / 2, startY + startH / 2);
+        ctx.fillText(this.onlineMode ? '入房' : '開始遊戲', startX + startW / 2, startY + startH / 2);
         ctx.restore();
 
         this.buttons.push({ x: startX, y: startY, w: startW, h: startH, action: 'start' });
 
+        if (hasSave) {
+            const resumeX = W / 2 + 8;
+            this._drawActionBtn(resumeX, startY, startW, startH, '繼續上局', '#2d8b57');
+            this.buttons.push({ x: resumeX, y: startY, w: startW, h: startH, action: 'resume' });
+        }
+
         // Draw decorative tiles
         this._drawDecoTiles(px, py, panelW, panelH);
     }
@@ -415,6 +473,11 @@ class UI {
         const btnH = 42;
         const btnGap = 10;
 
+        if (game.state === GAME_STATE.PLAYER_TURN || game.state === GAME_STATE.AI_TURN ||
+            game.state === GAME_STATE.CLAIMING) {
+            this._drawWaitIndicator(game);
+        }
+
         if (game.state === GAME_STATE.PLAYER_TURN) {
             // Draw button
             const bw = 100;
@@ -432,16 +495,9 @@ class UI {
                 acts.push({ label: '自摸!', action: 'selfWin', color: '#CC2222' });
             }
 
-            // Concealed Kong check
-            const cKongs = game.hands[0].getConcealedKongs();
-            for (const key of cKongs) {
-                acts.push({ label: '暗槓', action: 'kong_concealed', value: key, color: '#886600' });
-            }
-
-            // Added Kong check
-            const aKongs = game.hands[0].getAddedKongs();
-            for (const key of aKongs) {
-                acts.push({ label: '加槓', action: 'kong_added', value: key, color: '#886600' });
+            // Concealed / added Kong check (only after drawing, while a replacement tile is left)
+            for (const { action, key } of game.playerKongOptions()) {
+                acts.push({ label: action === 'kong_concealed' ? '暗槓' : '加槓', action, value: key, color: '#886600' });
             }
 
             const totalW = acts.length * (100 + btnGap);
@@ -468,11 +524,180 @@ class UI {
             this._drawClaimButtons(game);
         }
 
+        if (game.state === GAME_STATE.SEAT_DRAW) {
+            this.drawSeatDrawOverlay(game);
+        }
+
         if (game.state === GAME_STATE.DICE_ROLL) {
             this.drawDiceRollOverlay(game);
         }
     }
 
+    /**
+     * Work out the viewed seat's waits again. Scoring every possible wait is
+     * too slow for each frame, so this runs when the table changes instead.
+     */
+    refreshWaits(game) {
+        const playing = game.state === GAME_STATE.PLAYER_TURN || game.state === GAME_STATE.AI_TURN ||
+            game.state === GAME_STATE.CLAIMING;
+        this.waits = playing ? game.getPlayerWaits(this.renderer.viewSeat) : [];
+    }
+
+    /** 聽牌 badge above the player's hand: each wait with tiles left and fan on a discard */
+    _drawWaitIndicator(game) {
+        if (this.renderer.hideViewHand) return;
+        const waits = this.waits;
+        if (waits.length === 0) return;
+        const ctx = this.renderer.ctx;
+        const H = this.renderer.H;
+        const isPortrait = this.renderer.isPortrait;
+
+        const lineH = 20;
+        const boxW = isPortrait ? 150 : 170;
+        const boxH = 30 + waits.length * lineH;
+        const bx = 12;
+        const by = H - this.renderer.TILE_H - (isPortrait ? 60 : 40) - boxH;
+
+        ctx.save();
+        ctx.fillStyle = 'rgba(0,0,0,0.55)';
+        this.renderer._roundRect(bx, by, boxW, boxH, 8);
+        ctx.fill();
+        ctx.strokeStyle = '#c4973a';
+        ctx.lineWidth = 1;
+        this.renderer._roundRect(bx, by, boxW, boxH, 8);
+        ctx.stroke();
+
+        ctx.textBaseline = 'middle';
+        ctx.textAlign = 'left';
+        ctx.font = 'bold 14px "Noto Sans TC", sans-serif';
+        ctx.fillStyle = '#FFD700';
+        ctx.fillText('聽牌', bx + 10, by + 15);
+
+        ctx.font = '13px "Noto Sans TC", sans-serif';
+        waits.forEach((w, i) => {
+            const y = by + 30 + i * lineH + lineH / 2 - 4;
+            // Dim waits that are all gone or can't reach 起糊
+            const live = w.unseen > 0 && Scoring.meetsMinimum(w.fan, game.minFan);
+            ctx.fillStyle = live ? '#FFFFFF' : '#777777';
+            ctx.textAlign = 'left';
+            ctx.fillText(w.tile.displayName, bx + 10, y);
+            ctx.textAlign = 'right';
+            ctx.fillText(`剩 ${w.unseen} 張 · ${w.fan} 番`, bx + boxW - 10, y);
+        });
+        ctx.restore();
+    }
+
+    /**
+     * Hot-seat handover: the table stays visible but the bottom hand is face
+     * down until the named player taps in.
+     */
+    drawPassCurtain(game, seat) {
+        const ctx = this.renderer.ctx;
+        const W = this.renderer.W;
+        const H = this.renderer.H;
+        this.buttons = [];
+
+        ctx.save();
+        ctx.fillStyle = 'rgba(0,0,0,0.7)';
+        ctx.fillRect(0, 0, W, H);
+
+        const panelW = Math.min(W * 0.9, 380);
+        const panelH = 190;
+        const px = (W - panelW) / 2;
+        const py = (H - panelH) / 2;
+        ctx.fillStyle = 'rgba(20,60,30,0.95)';
+        this.renderer._roundRect(px, py, panelW, panelH, 15);
+        ctx.fill();
+        ctx.strokeStyle = '#c4973a';
+        ctx.lineWidth = 2;
+        this.renderer._roundRect(px, py, panelW, panelH, 15);
+        ctx.stroke();
+
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.font = 'bold 22px "Noto Sans TC", sans-serif';
+        ctx.fillStyle = '#FFD700';
+        ctx.fillText(`請將部機交畀 ${this._playerNames(game)[seat]}`, W / 2, py + 45);
+
+        ctx.font = '14px "Noto Sans TC", sans-serif';
+        ctx.fillStyle = '#AADDAA';
+        const doing = game.state === GAME_STATE.CLAIMING ? '有牌可以食' : '輪到你';
+        ctx.fillText(`${WIND_NAMES[game.seatWinds[seat]]}位 · ${doing}，其他人唔好睇`, W / 2, py + 80);
+
+        const btnW = 160;
+        const btnH = 50;
+        const bx = W / 2 - btnW / 2;
+        const by = py + panelH - btnH - 25;
+        this._drawActionBtn(bx, by, btnW, btnH, '我準備好', '#c4973a');
+        this.buttons.push({ x: bx, y: by, w: btnW, h: btnH, action: 'curtain_ready' });
+        ctx.restore();
+    }
+
+    /**
+     * Online, before the first deal: who has sat down at the table so far.
+     * The host starts the match; the AI plays the empty seats.
+     */
+    drawLobby(online) {
+        const ctx = this.renderer.ctx;
+        const W = this.renderer.W;
+        const H = this.renderer.H;
+        this.buttons = [];
+
+        ctx.save();
+        ctx.fillStyle = 'rgba(0,0,0,0.7)';
+        ctx.fillRect(0, 0, W, H);
+
+        const panelW = Math.min(W * 0.9, 380);
+        const panelH = 330;
+        const px = (W - panelW) / 2;
+        const py = (H - panelH) / 2;
+        ctx.fillStyle = 'rgba(20,60,30,0.95)';
+        this.renderer._roundRect(px, py, panelW, panelH, 15);
+        ctx.fill();
+        ctx.strokeStyle = '#c4973a';
+        ctx.lineWidth = 2;
+        this.renderer._roundRect(px, py, panelW, panelH, 15);
+        ctx.stroke();
+
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.font = 'bold 22px "Noto Sans TC", sans-serif';
+        ctx.fillStyle = '#FFD700';
+        ctx.fillText(online.room ? `網上對戰 · ${online.room}` : '連線中…', W / 2, py + 40);
+
+        ctx.font = '16px "Noto Sans TC", sans-serif';
+        online.names.forEach((name, seat) => {
+            const y = py + 90 + seat * 34;
+            ctx.textAlign = 'left';
+            ctx.fillStyle = '#AADDAA';
+            ctx.fillText(`座位 ${seat + 1}`, px + 40, y);
+            ctx.fillStyle = name ? '#FFFFFF' : '#888888';
+            const host = seat === online.host ? ' · 房主' : '';
+            ctx.fillText(name ? `${name}${seat === online.seat ? ' (你)' : ''}${host}` : '（空位 · 電腦）', px + 120, y);
+        });
+
+        const btnW = 130;
+        const btnH = 46;
+        const by = py + panelH - btnH - 25;
+        if (online.seat === online.host) {
+            this._drawActionBtn(W / 2 - btnW - 8, by, btnW, btnH, '開始', '#c4973a');
+            this.buttons.push({ x: W / 2 - btnW - 8, y: by, w: btnW, h: btnH, action: 'online_start' });
+        } else {
+            ctx.textAlign = 'center';
+            ctx.fillStyle = '#AADDAA';
+            ctx.fillText('等房主開始…', W / 2 - btnW / 2 - 8, by + btnH / 2);
+        }
+        this._drawActionBtn(W / 2 + 8, by, btnW, btnH, '離開', '#666666');
+        this.buttons.push({ x: W / 2 + 8, y: by, w: btnW, h: btnH, action: 'backToMenu' });
+        ctx.restore();
+    }
+
+    /** Names on panels: 你 / 下家 / 對家 / 上家 from the bottom seat, or each character's name in hot-seat and online play */
+    _playerNames(game) {
+        if ((game.humanSeats().length > 1 || game.online) && game.characters.length === 4) return game.characters.map(c => c.name);
+        return this.renderer.seatLabels();
+    }
+
     drawDiceRollOverlay(game) {
         const ctx = this.renderer.ctx;
         const W = this.renderer.W;
@@ -487,7 +712,7 @@ class UI {
 
         ctx.font = '16px "Noto Sans TC", sans-serif';
         ctx.fillStyle = '#FFF';
-        ctx.fillText('東位玩家 (你) 擲骰', W / 2, H / 2 - 70);
+        ctx.fillText(`東位玩家 (${this._playerNames(game)[game.diceRoller]}) 擲骰`, W / 2, H / 2 - 70);
 
         const btnW = 140;
         const btnH = 50;
@@ -505,6 +730,55 @@ class UI {
         ctx.restore();
     }
 
+    /** 搶位: four wind tiles face down; the player picks one, then everyone's draw is shown */
+    drawSeatDrawOverlay(game) {
+        const ctx = this.renderer.ctx;
+        const W = this.renderer.W;
+        const H = this.renderer.H;
+        const tw = this.renderer.TILE_W;
+        const th = this.renderer.TILE_H;
+        this.buttons = [];
+
+        ctx.save();
+        ctx.textAlign = 'center';
+        ctx.font = 'bold 24px "Noto Sans TC", sans-serif';
+        ctx.fillStyle = '#FFD700';
+        ctx.fillText('搶位 — 抽風牌定座位', W / 2, H / 2 - 100);
+
+        const drawn = game.seatDrawPicks.length === 4;
+        ctx.font = '16px "Noto Sans TC", sans-serif';
+        ctx.fillStyle = '#FFF';
+        ctx.fillText(drawn ? `你抽到${WIND_NAMES[game.seatDrawWind(0)]}，抽到東嘅擲骰定莊` : '揀一隻牌', W / 2, H / 2 - 70);
+
+        const gap = 24;
+        const startX = W / 2 - (4 * tw + 3 * gap) / 2;
+        const ty = H / 2 - th / 2;
+        for (let slot = 0; slot < 4; slot++) {
+            const x = startX + slot * (tw + gap);
+            if (!drawn) {
+                this.renderer.drawTileBack(x, ty);
+                this.buttons.push({ x, y: ty, w: tw, h: th, action: 'seat_pick', value: slot });
+                continue;
+            }
+            this.renderer.drawTile(x, ty, Tile.fromKey(`wind_${game.seatDrawTiles[slot]}`));
+            const player = game.seatDrawPicks.indexOf(slot);
+            const name = game.characters[player] ? game.characters[player].name : (player === 0 ? '你' : `玩家 ${player + 1}`);
+            ctx.font = '13px "Noto Sans TC", sans-serif';
+            ctx.fillStyle = player === 0 ? '#FFD700' : '#CCDDCC';
+            ctx.fillText(name, x + tw / 2, ty + th + 18);
+        }
+
+        if (drawn) {
+            const btnW = 140;
+            const btnH = 50;
+            const bx = W / 2 - btnW / 2;
+            const by = H / 2 + 110;
+            this._drawActionBtn(bx, by, btnW, btnH, '入座', '#c4973a');
+            this.buttons.push({ x: bx, y: by, w: btnW, h: btnH, action: 'seat_confirm' });
+        }
+        ctx.restore();
+    }
+
     _drawClaimButtons(game) {
         const ctx = this.renderer.ctx;
         const W = this.renderer.W;
@@ -529,7 +803,14 @@ class UI {
         const by = isPortrait ? H - this.renderer.TILE_H - 160 : H - this.renderer.TILE_H - 115;
 
         // Show what tile is being claimed
-        if (game.lastDiscard) {
+        if (game.pendingRob) {
+            ctx.save();
+            ctx.font = `bold ${isPortrait ? 16 : 14}px "Noto Sans TC", sans-serif`;
+            ctx.fillStyle = '#FFD700';
+            ctx.textAlign = 'center';
+            ctx.fillText(`${WIND_NAMES[game.seatWinds[game.pendingRob.player]]}家加槓 ${game.pendingRob.tile.displayName} — 搶槓？`, W / 2, by - 25);
+            ctx.restore();
+        } else if (game.lastDiscard) {
             ctx.save();
             ctx.font = `bold ${isPortrait ? 16 : 14}px "Noto Sans TC", sans-serif`;
             ctx.fillStyle = '#FFD700';
@@ -592,7 +873,8 @@ class UI {
         const H = this.renderer.H;
         this.buttons = [];
 
-        const playerNames = ['你', '下家', '對家', '上家'];
+        const playerNames = this._playerNames(game);
+        const humans = game.humanSeats();
 
         if (this.showingScorePanel) {
             // Overlay
@@ -604,10 +886,12 @@ class UI {
             if (game.winner >= 0 && game.winInfo?.scoring?.breakdown) {
                 contentH += 30 + game.winInfo.scoring.breakdown.length * 24 + 40; // fan breakdown
                 contentH += 30; // total fan
+                if (game.wins.length > 1) contentH += 24; // 一炮多響
+                if (game.winInfo.scoring.decomposition) contentH += 24; // grouping
             }
             contentH += 30; // payment details header
             if (game.paymentInfo?.details) contentH += game.paymentInfo.details.length * 22;
-            contentH += 135; // score table + button
+            contentH += 155; // score table + seed + button
 
             const panelW = 480;
             const panelH = Math.min(contentH, H - 40);
@@ -639,15 +923,34 @@ class UI {
                 // Title
                 ctx.font = 'bold 28px "Noto Sans TC", sans-serif';
                 ctx.fillStyle = '#FFD700';
-                ctx.fillText(game.winner === 0 ? '恭喜你！食糊！🎉' : `${winnerName}食糊！`, W / 2, curY);
+                const youWon = humans.length === 1 && game.winner === humans[0];
+                ctx.fillText(youWon ? '恭喜你！食糊！🎉' : `${winnerName}食糊！`, W / 2, curY);
                 curY += 30;
 
                 // Win method
                 ctx.font = '15px "Noto Sans TC", sans-serif';
                 ctx.fillStyle = '#AADDAA';
-                ctx.fillText(info.selfDrawn ? '自摸' : `執${playerNames[info.fromPlayer]}嘅牌`, W / 2, curY);
+                let method = info.selfDrawn ? '自摸' : info.robbedKong ? `搶${playerNames[info.fromPlayer]}嘅槓` : `執${playerNames[info.fromPlayer]}嘅牌`;
+                if (info.flowerWin) method = info.fromPlayer >= 0 ? `花糊 — 搶${playerNames[info.fromPlayer]}嘅第八隻花` : '花糊 — 八隻花齊晒';
+                ctx.fillText(method, W / 2, curY);
                 curY += 30;
 
+                // Other winners on the same discard
+                if (game.wins.length > 1) {
+                    const others = game.wins.slice(1).map(w => `${playerNames[w.player]} ${w.info.scoring.totalFan} 番`);
+                    ctx.fillStyle = '#FF9966';
+                    ctx.fillText(`一炮多響 — 仲有 ${others.join('、')}`, W / 2, curY);
+                    curY += 24;
+                }
+
+                // How the hand was grouped for scoring
+                if (info.scoring && info.scoring.decomposition) {
+                    ctx.font = '13px "Noto Sans TC", sans-serif';
+                    ctx.fillStyle = '#CCDDCC';
+                    ctx.fillText(`牌型：${this._describeDecomposition(info.scoring.decomposition)}`, W / 2, curY);
+                    curY += 24;
+                }
+
                 // Fan breakdown
                 if (info.scoring && info.scoring.breakdown.length > 0) {
                     ctx.font = 'bold 14px "Noto Sans TC", sans-serif';
@@ -681,8 +984,8 @@ class UI {
                     ctx.fillText('合計', px + 60, curY + 10);
                     ctx.textAlign = 'right';
                     ctx.fillStyle = '#FFD700';
-                    const points = Scoring.fanToPoints(info.scoring.totalFan);
-                    ctx.fillText(`${info.scoring.totalFan} 番 = ${points} 分`, px + panelW - 60, curY + 10);
+                    const points = game.rules.points(info.scoring.totalFan, info.selfDrawn);
+                    ctx.fillText(`${info.scoring.totalFan} 番 = ${info.selfDrawn ? '每家 ' : ''}${points} 分`, px + panelW - 60, curY + 10);
                     curY += 30;
                 }
             } else {
@@ -703,7 +1006,7 @@ class UI {
                 ctx.font = 'bold 13px "Noto Sans TC", sans-serif';
                 ctx.fillStyle = '#E8D8A0';
                 ctx.textAlign = 'center';
-                ctx.fillText('─── 計分 ───', W / 2, curY);
+                ctx.fillText(`─── 計分 · ${game.rules.table.name} ───`, W / 2, curY);
                 curY += 20;
 
                 for (const detail of game.paymentInfo.details) {
@@ -729,7 +1032,7 @@ class UI {
 
                 // Player name
                 ctx.font = 'bold 13px "Noto Sans TC", sans-serif';
-                ctx.fillStyle = i === 0 ? '#FFD700' : '#CCDDCC';
+                ctx.fillStyle = humans.includes(i) ? '#FFD700' : '#CCDDCC';
                 ctx.textAlign = 'center';
                 ctx.fillText(playerNames[i], colX, curY);
 
@@ -763,6 +1066,13 @@ class UI {
             }
             curY += 55;
 
+            // Seed — enter it in the menu to replay the same deals
+            ctx.font = '12px "Noto Sans TC", sans-serif';
+            ctx.fillStyle = '#999999';
+            ctx.textAlign = 'center';
+            ctx.fillText(`${game.seed !== null ? `種子 ${game.seed} · ` : ''}第 ${game.totalRounds} 局`, W / 2, curY);
+            curY += 20;
+
             // Next round button
             const btnW = 160;
             const btnH = 42;
@@ -770,7 +1080,7 @@ class UI {
             const btnY = Math.min(curY + 5, py + panelH - 55);
 
             // Check if game should end
-            const gameOver = game.scores.some(s => s <= 0) || game.totalRounds >= game.maxRounds;
+            const gameOver = game.isMatchOver();
             if (gameOver) {
                 this._drawActionBtn(btnX, btnY, btnW, btnH, '查看結果', '#886600');
                 this.buttons.push({ x: btnX, y: btnY, w: btnW, h: btnH, action: 'nextRound' });
@@ -778,6 +1088,15 @@ class UI {
                 this._drawActionBtn(btnX, btnY, btnW, btnH, '下一局', '#2d8b57');
                 this.buttons.push({ x: btnX, y: btnY, w: btnW, h: btnH, action: 'nextRound' });
             }
+
+            // Replay / export this round's log
+            const sideW = 100;
+            const replayX = btnX - sideW - 10;
+            const exportX = btnX + btnW + 10;
+            this._drawActionBtn(replayX, btnY, sideW, btnH, '重播', '#2222CC');
+            this.buttons.push({ x: replayX, y: btnY, w: sideW, h: btnH, action: 'replay' });
+            this._drawActionBtn(exportX, btnY, sideW, btnH, '匯出紀錄', '#666666');
+            this.buttons.push({ x: exportX, y: btnY, w: sideW, h: btnH, action: 'exportLog' });
         }
 
         // --- ROUND OUTCOME IMAGE (Bottom Right Splash) ---
@@ -824,6 +1143,93 @@ class UI {
         ctx.restore();
     }
 
+    // ===================== Replay Controls =====================
+
+    drawReplayControls(replay) {
+        const ctx = this.renderer.ctx;
+        const W = this.renderer.W;
+        const H = this.renderer.H;
+        this.buttons = [];
+
+        const btnW = 90;
+        const btnH = 42;
+        const btnGap = 10;
+        const by = H - this.renderer.TILE_H - 110;
+
+        // Current event
+        ctx.save();
+        ctx.font = 'bold 15px "Noto Sans TC", sans-serif';
+        ctx.fillStyle = '#FFD700';
+        ctx.textAlign = 'center';
+        ctx.fillText(`重播 ${replay.index + 1} / ${replay.length}：${this._describeReplayEvent(replay)}`, W / 2, by - 25);
+        ctx.restore();
+
+        const acts = [
+            { label: '◀ 上一步', action: 'replay_prev', color: '#2d8b57' },
+            { label: '下一步 ▶', action: 'replay_next', color: '#2d8b57' },
+            { label: '完成', action: 'replay_close', color: '#666666' }
+        ];
+        let startX = W / 2 - (acts.length * (btnW + btnGap) - btnGap) / 2;
+        for (const act of acts) {
+            this._drawActionBtn(startX, by, btnW, btnH, act.label, act.color);
+            this.buttons.push({ x: startX, y: by, w: btnW, h: btnH, action: act.action });
+            startX += btnW + btnGap;
+        }
+    }
+
+    /** One-line grouping of a scored hand, e.g. 一二三萬 · 五筒×3 · 白×2 */
+    _describeDecomposition(decomp) {
+        const name = key => Tile.fromKey(key).displayName;
+        if (decomp.special === 'thirteen_orphans') return `十三么（${name(decomp.pair)}做眼）`;
+        if (decomp.special === 'seven_pairs') return decomp.pairs.map(k => `${name(k)}×2`).join(' · ');
+
+        const group = (type, key) => {
+            if (type === 'chow' || type === MELD_TYPE.CHOW) {
+                const t = Tile.fromKey(key);
+                return NUMBER_NAMES[t.value] + NUMBER_NAMES[t.value + 1] + NUMBER_NAMES[t.value + 2] + SUIT_NAMES[t.suit];
+            }
+            const isKong = type === MELD_TYPE.KONG_EXPOSED || type === MELD_TYPE.KONG_CONCEALED || type === MELD_TYPE.KONG_ADDED;
+            return `${name(key)}×${isKong ? 4 : 3}`;
+        };
+        return [
+            ...decomp.sets.map(s => group(s.type, s.key)),
+            ...decomp.melds.map(m => group(m.type, m.key)),
+            `${name(decomp.pair)}×2`
+        ].join(' · ');
+    }
+
+    _describeReplayEvent(replay) {
+        const ev = replay.event;
+        const playerNames = this._playerNames(this.game);
+        const name = playerNames[ev.player];
+        const tileName = ev.tile !== undefined ? replay.lookup[ev.tile].displayName : '';
+
+        switch (ev.type) {
+            case 'deal': return `開牌 — ${WIND_NAMES[ev.roundWind]}風圈，${playerNames[ev.dealer]}做莊`;
+            case 'draw': return `${name}${ev.source === 'wall' ? '摸牌' : '補牌'} ${tileName}`;
+            case 'flower': return `${name}補花 ${tileName}`;
+            case 'discard': return `${name}打出 ${tileName}`;
+            case 'claim': {
+                const labels = { [MELD_TYPE.CHOW]: '上', [MELD_TYPE.PUNG]: '碰', [MELD_TYPE.KONG_EXPOSED]: '槓' };
+                return `${name}${labels[ev.meldType]} ${playerNames[ev.from]}嘅 ${tileName}`;
+            }
+            case 'kong': return `${name}${ev.kongType === 'kong_added' ? '加槓' : '暗槓'}`;
+            case 'win':
+                if (ev.shared) return `${name}都食${playerNames[ev.from]}嘅 ${tileName}！一炮多響 (${ev.totalFan} 番)`;
+                if (ev.robbedKong) return `${name}搶${playerNames[ev.from]}嘅槓 ${tileName}！(${ev.totalFan} 番)`;
+                return ev.selfDrawn
+                    ? `${name}自摸！(${ev.totalFan} 番)`
+                    : `${name}食${playerNames[ev.from]}嘅 ${tileName}！(${ev.totalFan} 番)`;
+            case 'flowerWin':
+                return ev.from >= 0
+                    ? `${name}七搶一，搶${playerNames[ev.from]}嘅 ${tileName}！(${ev.totalFan} 番)`
+                    : `${name}八仙過海！(${ev.totalFan} 番)`;
+            case 'exhausted': return '荒莊 — 流局';
+            case 'payment': return '計分';
+            default: return ev.type;
+        }
+    }
+
     // ===================== Game Over Screen =====================
 
     drawGameEnd(game) {
@@ -832,7 +1238,8 @@ class UI {
         const H = this.renderer.H;
         this.buttons = [];
 
-        const playerNames = ['你', '下家', '對家', '上家'];
+        const playerNames = this._playerNames(game);
+        const humans = game.humanSeats();
 
         // Overlay
         ctx.fillStyle = 'rgba(0,0,0,0.75)';
@@ -866,7 +1273,7 @@ class UI {
         // Subtitle
         ctx.font = '14px "Noto Sans TC", sans-serif';
         ctx.fillStyle = '#AADDAA';
-        const reason = game.scores.some(s => s <= 0) ? '有玩家破產！' : `已完成 ${game.totalRounds} 局`;
+        const reason = game.scores.some(s => s <= 0) ? '有玩家破產！' : `${game.match.name}完成 — 共 ${game.totalRounds} 局`;
         ctx.fillText(reason, W / 2, py + 75);
 
         // Rankings — sort players by score descending
@@ -893,7 +1300,7 @@ class UI {
             // Medal + Name
             ctx.font = rank === 0 ? 'bold 18px "Noto Sans TC", sans-serif' : '16px "Noto Sans TC", sans-serif';
             ctx.textAlign = 'left';
-            ctx.fillStyle = rank === 0 ? '#FFD700' : (pidx === 0 ? '#88CCFF' : '#CCDDCC');
+            ctx.fillStyle = rank === 0 ? '#FFD700' : (humans.includes(pidx) ? '#88CCFF' : '#CCDDCC');
             ctx.fillText(`${medals[rank]} ${rank + 1}. ${name}`, px + 50, fy);
 
             // Score
@@ -0,0 +1,56 @@
+// Plays a match with outside bots through the bots.js protocol: two copies of
+// example_bot.js (one slow to start), one bot that answers nonsense and one
+// that never answers a decision. The misbehaving bots must lose their seats to
+// the AI without holding up the match, and the slow starter must not be blamed for it.
+const path = require('path');
+const { runMatch } = require('./bots');
+
+const node = JSON.stringify(process.execPath);
+const exampleBot = `${node} ${JSON.stringify(path.join(__dirname, 'example_bot.js'))}`;
+const slowExampleBot = `${node} -e ${JSON.stringify(
+    `setTimeout(() => require(${JSON.stringify(path.join(__dirname, 'example_bot.js'))}), 1000)`
+)}`;
+const nonsenseBot = `${node} -e ${JSON.stringify(
+    "require('readline').createInterface({ input: process.stdin }).on('line', l => { const m = JSON.parse(l); " +
+    "if (m.type === 'start') console.log(JSON.stringify({ type: 'ready' })); " +
+    "if (m.type === 'request') console.log(JSON.stringify({ id: m.id, answer: 'nonsense' })); })"
+)}`;
+const silentBot = `${node} -e ${JSON.stringify(
+    "require('readline').createInterface({ input: process.stdin }).on('line', l => { " +
+    "if (JSON.parse(l).type === 'start') console.log(JSON.stringify({ type: 'ready' })); })"
+)}`;
+
+function check(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+async function main() {
+    const result = await runMatch({
+        seed: 42,
+        matchFormat: 'east',
+        bots: [exampleBot, nonsenseBot, slowExampleBot, silentBot],
+        timeout: 1000, // Well clear of a slow machine; the silent bot still costs only 3 s
+        maxStrikes: 3
+    });
+    const [first, nonsense, second, silent] = result.bots;
+    console.log(`${result.rounds.length} rounds, scores ${result.scores.join(' / ')}`);
+    result.bots.forEach((bot, seat) => console.log(`  seat ${seat}: ${JSON.stringify(bot)}`));
+
+    check(result.rounds.length >= 4, 'The match ended too early');
+    check(result.scores.reduce((a, b) => a + b, 0) === 40000, 'Scores do not add up');
+    for (const bot of [first, second]) {
+        check(bot.decisions > 0, 'The example bot was never asked anything');
+        check(bot.illegal === 0 && bot.timeouts === 0 && !bot.retired, `The example bot was refused: ${JSON.stringify(bot)}`);
+    }
+    check(nonsense.illegal === 3 && nonsense.retired, 'The nonsense bot was not retired after three illegal answers');
+    check(silent.timeouts === 3 && silent.retired, 'The silent bot was not retired after three timeouts');
+}
+
+main().then(() => {
+    console.log('VERIFICATION SUCCESS: bots play through the protocol and misbehaving ones are replaced by the AI.');
+    process.exit(0);
+}).catch(e => {
+    console.error('VERIFICATION FAILED:');
+    console.error(e.message);
+    process.exit(1);
+});
@@ -0,0 +1,124 @@
+// Checks claim arbitration on a discard: a win beats a pung or kong, which
+// beats a chow, and between equal claims the seat nearest after the
+// discarder takes the tile (截糊) unless 一炮多響 lets every winner score.
+const { createGame, Player, ManualScheduler, GAME_STATE } = require('./engine');
+
+function check(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+/** Claims the best thing it is offered, and remembers what that was */
+class GreedyPlayer extends Player {
+    constructor() {
+        super();
+        this.offered = [];
+    }
+
+    decideClaim(request, respond) {
+        this.offered.push(...request.actions);
+        respond(['win', 'kong', 'pung', 'chow'].find(action => request.actions.includes(action)) || null);
+    }
+}
+
+// Hands of tile keys. DISCARDER throws wan_5; the others react to it.
+const DISCARDER = ['wan_5', 'tung_1', 'tung_1', 'tung_1', 'tung_2', 'tung_2', 'tung_2', 'tung_3', 'tung_3', 'tung_3',
+    'wind_1', 'wind_1', 'wind_1', 'dragon_3'];
+const WINS_ON_5 = ['wan_4', 'wan_6', 'sok_1', 'sok_2', 'sok_3', 'sok_4', 'sok_5', 'sok_6', 'sok_7', 'sok_8', 'sok_9',
+    'dragon_1', 'dragon_1'];
+const PUNGS_5 = ['wan_5', 'wan_5', 'tung_4', 'tung_5', 'tung_6', 'wind_2', 'wind_2', 'wind_2', 'wind_3', 'wind_3', 'wind_3',
+    'wind_4', 'dragon_2'];
+const KONGS_5 = ['wan_5', 'wan_5', 'wan_5', 'tung_4', 'tung_5', 'tung_6', 'wind_2', 'wind_2', 'wind_2', 'wind_3', 'wind_3',
+    'wind_3', 'dragon_2'];
+const CHOWS_5 = ['wan_3', 'wan_4', 'tung_4', 'tung_5', 'tung_6', 'tung_7', 'tung_8', 'tung_9', 'sok_1', 'sok_1',
+    'wind_4', 'dragon_2', 'dragon_3'];
+const NOTHING = ['wan_1', 'wan_9', 'tung_9', 'sok_9', 'wind_4', 'dragon_2', 'dragon_3', 'wan_8', 'wan_8', 'tung_8',
+    'sok_4', 'sok_6', 'wind_4'];
+
+/**
+ * A dealt game with these hands (by seat), the rest of the tiles left in the
+ * wall, and nobody having moved yet. Debug mode: any lost tile throws.
+ */
+function stage(hands, options = {}) {
+    const players = [0, 1, 2, 3].map(() => new GreedyPlayer());
+    const game = createGame({
+        seed: 1, minFan: 0, debug: true, scheduler: new ManualScheduler(),
+        createPlayer: seat => players[seat], ...options
+    });
+    game.rollDice();
+    game.confirmDice();
+    game.scheduler.cancelAll(); // The dealer's first turn
+
+    const wall = game.wall;
+    const pool = [...wall.tiles.slice(wall.drawIndex), ...wall.deadWall];
+    game.hands.forEach(h => pool.push(...h.concealed, ...h.flowers));
+    const take = key => {
+        const idx = pool.findIndex(t => t.key === key);
+        check(idx >= 0, `No ${key} left to stage`);
+        return pool.splice(idx, 1)[0];
+    };
+    hands.forEach((keys, seat) => {
+        game.hands[seat].setInitial(keys.map(take));
+        game.hands[seat].flowers = [];
+    });
+    wall.deadWall = pool.splice(0, wall.deadWall.length);
+    wall.tiles = pool;
+    wall.drawIndex = 0;
+    game.turnCount = 4; // Past 地糊
+    return { game, players };
+}
+
+/** Seat from discards its wan_5 and the claims on it are settled */
+function discardFive(game, from) {
+    const tile = game.hands[from].concealed.find(t => t.key === 'wan_5');
+    game.currentPlayer = from;
+    game._discard(from, tile);
+    game.scheduler.step(); // The winning claim is carried out after its announcement
+    return game.roundLog.filter(ev => ev.type === 'claim' || ev.type === 'win');
+}
+
+try {
+    console.log("--- Win beats pung beats chow ---");
+    let { game, players } = stage([DISCARDER, CHOWS_5, PUNGS_5, WINS_ON_5]);
+    let taken = discardFive(game, 0);
+    console.log("Offered:", players.map(p => p.offered.join('/')).join(' | '), "→", JSON.stringify(taken));
+    check(players[1].offered.includes('chow') && players[2].offered.includes('pung') && players[3].offered.includes('win'),
+        "Every seat should have been asked about its claim");
+    check(taken.length === 1 && taken[0].type === 'win' && taken[0].player === 3, "The win did not take the discard");
+    check(game.state === GAME_STATE.ROUND_END, "The round did not end on the win");
+
+    console.log("--- Pung beats chow ---");
+    ({ game } = stage([DISCARDER, CHOWS_5, PUNGS_5, NOTHING]));
+    taken = discardFive(game, 0);
+    console.log("Taken:", JSON.stringify(taken));
+    check(taken.length === 1 && taken[0].player === 2 && taken[0].meldType === 'pung', "The pung did not beat the chow");
+
+    console.log("--- Kong beats chow ---");
+    ({ game } = stage([DISCARDER, CHOWS_5, KONGS_5, NOTHING]));
+    taken = discardFive(game, 0);
+    console.log("Taken:", JSON.stringify(taken));
+    check(taken.length === 1 && taken[0].player === 2 && taken[0].meldType === 'kong_exposed', "The kong did not beat the chow");
+
+    console.log("--- Two wins: the nearest seat after the discarder takes it (截糊) ---");
+    ({ game } = stage([DISCARDER, WINS_ON_5, PUNGS_5, WINS_ON_5]));
+    taken = discardFive(game, 0);
+    console.log("From seat 0:", JSON.stringify(taken));
+    check(taken.length === 1 && taken[0].player === 1, "Seat 1 sits nearest after seat 0");
+
+    ({ game } = stage([NOTHING, WINS_ON_5, DISCARDER, WINS_ON_5]));
+    taken = discardFive(game, 2);
+    console.log("From seat 2:", JSON.stringify(taken));
+    check(taken.length === 1 && taken[0].player === 3, "Seat 3 sits nearest after seat 2");
+
+    console.log("--- Two wins under 一炮多響 ---");
+    ({ game } = stage([DISCARDER, WINS_ON_5, PUNGS_5, WINS_ON_5], { multipleWinners: true }));
+    taken = discardFive(game, 0);
+    console.log("Wins:", JSON.stringify(taken));
+    check(taken.map(ev => ev.player).join() === '1,3', "Both winners should score, nearest first");
+    check(game.winner === 1, "The nearest winner is the head winner");
+
+    console.log("VERIFICATION SUCCESS: claims are arbitrated win > kong/pung > chow, ties to the nearest seat.");
+} catch (e) {
+    console.error("VERIFICATION FAILED:");
+    console.error(e.message);
+    process.exit(1);
+}
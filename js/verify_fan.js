@@ -0,0 +1,65 @@
+// Checks the fan awarded for all-pung hands: 坎坎糊 takes the place of 對對糊
+// when every pung was made in hand, and the limit hands built from pungs.
+const { Hand, Scoring, WINDS, MELD_TYPE, createAllTiles } = require('./engine');
+
+function check(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+const PUNG_HAND = ['wan_2', 'wan_2', 'wan_2', 'tung_4', 'tung_4', 'tung_4', 'sok_6', 'sok_6', 'sok_6',
+    'wan_8', 'wan_8', 'wan_8', 'tung_7', 'tung_7'];
+
+/** A hand of these tile keys, with exposed pungs of the given keys, and a few flowers to keep 無花 out */
+function handOf(keys, pungs = []) {
+    const pool = createAllTiles();
+    const take = key => pool.splice(pool.findIndex(t => t.key === key), 1)[0];
+    const hand = new Hand(1);
+    hand.setInitial(keys.map(take));
+    hand.melds = pungs.map(key => ({ type: MELD_TYPE.PUNG, tiles: [take(key), take(key), take(key)], fromPlayer: 0 }));
+    hand.flowers = [take('flower_4')];
+    return hand;
+}
+
+/** Fan names scored for a win, selfDrawn or on a discard of winningKey */
+function fans(hand, selfDrawn, winningKey) {
+    const context = {
+        seatWind: WINDS.SOUTH, roundWind: WINDS.EAST, selfDrawn, turnCount: 8, players: [],
+        winningTile: hand.concealed.find(t => t.key === winningKey)
+    };
+    const result = Scoring.calculate(hand, context);
+    const names = result.breakdown.map(b => b.name);
+    console.log(`  ${names.join(' ')} = ${result.totalFan}番`);
+    return names;
+}
+
+try {
+    console.log("--- All pungs made in hand, self-drawn ---");
+    let names = fans(handOf(PUNG_HAND), true, 'wan_2');
+    check(names.includes('坎坎糊') && !names.includes('對對糊'), "A concealed self-drawn all-pung hand is 坎坎糊 only");
+
+    console.log("--- Discard completes the pair ---");
+    names = fans(handOf(PUNG_HAND), false, 'tung_7');
+    check(names.includes('坎坎糊') && !names.includes('對對糊'), "Winning on the pair keeps every pung concealed");
+
+    console.log("--- Discard completes a pung ---");
+    names = fans(handOf(PUNG_HAND), false, 'wan_2');
+    check(names.includes('對對糊') && !names.includes('坎坎糊'), "A pung finished on a discard is not concealed");
+
+    console.log("--- An exposed pung ---");
+    names = fans(handOf(PUNG_HAND.slice(3), ['wan_2']), true, 'tung_4');
+    check(names.includes('對對糊') && !names.includes('坎坎糊'), "An exposed pung rules out 坎坎糊");
+
+    console.log("--- Terminals and honours ---");
+    names = fans(handOf(['wan_1', 'wan_1', 'wan_1', 'wan_9', 'wan_9', 'wan_9', 'tung_1', 'tung_1', 'tung_1',
+        'sok_9', 'sok_9', 'sok_9', 'wind_1', 'wind_1']), false, 'wan_1');
+    check(names.includes('混么九') && names.includes('對對糊'), "混么九 was not scored with 對對糊");
+    names = fans(handOf(['wan_1', 'wan_1', 'wan_1', 'wan_9', 'wan_9', 'wan_9', 'tung_1', 'tung_1', 'tung_1',
+        'sok_9', 'sok_9', 'sok_9', 'sok_1', 'sok_1']), false, 'wan_1');
+    check(names.length === 1 && names[0] === '清么九', "清么九 is a limit hand on its own");
+
+    console.log("VERIFICATION SUCCESS: 坎坎糊 replaces 對對糊 exactly when every pung was made in hand.");
+} catch (e) {
+    console.error("VERIFICATION FAILED:");
+    console.error(e.message);
+    process.exit(1);
+}
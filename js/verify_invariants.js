@@ -0,0 +1,52 @@
+// Checks the tile invariants: a whole round keeps every tile in one place,
+// and a deliberately lost tile throws an InvariantError in debug mode, or
+// is reported once as an event otherwise.
+const { createGame, Invariants, InvariantError, GAME_EVENT, GAME_STATE } = require('./engine');
+
+function check(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+try {
+    console.log("--- A whole round in debug mode ---");
+    const game = createGame({ seed: 77, seats: ['ai', 'ai', 'ai', 'ai'], debug: true });
+    game.rollDice();
+    game.confirmDice();
+    console.log(`Round over after ${game.roundLog.length} logged events, state ${game.state}`);
+    check(game.state === GAME_STATE.ROUND_END, "The round did not play out");
+    check(Invariants.check(game).length === 0, "The tiles do not add up at the end of the round");
+
+    console.log("--- A tile goes missing in debug mode ---");
+    game.nextRound();
+    const lost = game.hands[1].concealed.pop();
+    let thrown = null;
+    try {
+        game._log('test');
+    } catch (e) {
+        thrown = e;
+    }
+    check(thrown instanceof InvariantError, "No InvariantError was thrown");
+    console.log(thrown.message);
+    check(thrown.violations.includes(`tile ${lost.id} is missing`), "The lost tile was not named");
+    check(thrown.violations.includes('hand 1 holds 12 tiles'), "The short hand was not named");
+    check(thrown.event && thrown.event.type === 'test', "The event that exposed it was not kept");
+
+    console.log("--- A tile counted twice outside debug mode ---");
+    const relaxed = createGame({ seed: 77, seats: ['ai', 'ai', 'ai', 'ai'] });
+    relaxed.rollDice();
+    relaxed.confirmDice();
+    relaxed.nextRound();
+    const reported = [];
+    relaxed.on(GAME_EVENT.INVARIANT_VIOLATED, ({ error }) => reported.push(error));
+    relaxed.hands[2].concealed.push(relaxed.hands[3].concealed[0]);
+    relaxed._log('test');
+    relaxed._log('test');
+    check(reported.length === 1 && reported[0] instanceof InvariantError, "The violation should be reported once a round");
+    console.log(reported[0].violations.join('; '));
+
+    console.log("VERIFICATION SUCCESS: lost or doubled tiles are caught as they happen.");
+} catch (e) {
+    console.error("VERIFICATION FAILED:");
+    console.error(e.message);
+    process.exit(1);
+}
@@ -0,0 +1,110 @@
+// Plays online rounds against a local server with headless clients, checking
+// that nobody is ever sent another seat's concealed tiles before the reveal.
+const { InstantScheduler, Random, GAME_STATE } = require('./engine');
+const { createServer } = require('./server');
+const { connectWebSocket } = require('./websocket');
+
+const REVEAL_STATES = [GAME_STATE.ROUND_END, GAME_STATE.GAME_END];
+
+/** A client that makes random legal moves for its seat and records what it is told */
+function startClient(port, name, rng) {
+    return connectWebSocket(`ws://localhost:${port}/ws?room=verify&name=${name}`).then(ws => {
+        const client = { ws, name, seat: -1, view: null, views: 0, rounds: 0, errors: [] };
+        const send = msg => ws.send(JSON.stringify(msg));
+        ws.on('message', text => {
+            const msg = JSON.parse(text);
+            if (msg.type === 'welcome') client.seat = msg.seat;
+            if (msg.type === 'error') client.errors.push(msg.message);
+            if (msg.type === 'event' && msg.event === 'tileDrawn') throw new Error(`${name} was told about a draw`);
+            if (msg.type !== 'view') return;
+            const view = msg.view;
+            client.view = view;
+            client.views++;
+
+            view.hands.forEach((h, i) => {
+                if (i !== client.seat && !REVEAL_STATES.includes(view.state) && typeof h.concealed !== 'number') {
+                    throw new Error(`${name} (seat ${client.seat}) was sent seat ${i}'s concealed tiles`);
+                }
+            });
+            if (view.seed !== null && view.state !== GAME_STATE.GAME_END) throw new Error(`${name} was sent the seed`);
+
+            if (view.state === GAME_STATE.ROUND_END) {
+                client.rounds++;
+                send({ type: 'nextRound' });
+                return;
+            }
+            if (view.acting !== client.seat) return;
+            const hand = view.hands[client.seat].concealed;
+            if (view.state === GAME_STATE.PLAYER_TURN) send({ type: 'draw' });
+            else if (view.canSelfWin) send({ type: 'selfWin' });
+            else if (view.kongOptions.length > 0 && rng.next() < 0.5) send({ type: 'kong', ...view.kongOptions[0] });
+            else if (view.state === GAME_STATE.PLAYER_DISCARD) send({ type: 'discard', tile: hand[rng.nextInt(hand.length)] });
+            else if (view.pendingClaims.includes('win')) send({ type: 'claim', action: 'win' });
+            else if (view.pendingClaims.length > 0 && rng.next() < 0.5) {
+                const action = view.pendingClaims[rng.nextInt(view.pendingClaims.length)];
+                send(action === 'chow' ? { type: 'claim', action, combo: ['bad', 'combo'] } : { type: 'claim', action });
+                if (action === 'chow') send({ type: 'pass' }); // The combo above is refused: pass instead
+            } else send({ type: 'pass' });
+        });
+        return client;
+    });
+}
+
+function waitFor(check, ms) {
+    return new Promise((resolve, reject) => {
+        const started = Date.now();
+        const poll = () => {
+            if (check()) resolve();
+            else if (Date.now() - started > ms) reject(new Error('Timed out'));
+            else setTimeout(poll, 20);
+        };
+        poll();
+    });
+}
+
+async function main() {
+    const server = createServer({ createScheduler: () => new InstantScheduler() });
+    await new Promise(resolve => server.listen(0, resolve));
+    const port = server.address().port;
+    const rng = new Random(7);
+
+    const alice = await startClient(port, 'alice', rng);
+    const bob = await startClient(port, 'bob', rng);
+    await waitFor(() => alice.seat === 0 && bob.seat === 1, 2000);
+    console.log('Seats:', alice.seat, bob.seat);
+
+    // Only the host (alice, first to sit down) may start the match
+    bob.ws.send(JSON.stringify({ type: 'start', settings: { seed: '1' } }));
+    await waitFor(() => bob.errors.length > 0, 2000);
+    if (server.tables.get('verify').game) throw new Error('bob started the match without hosting the table');
+    console.log('Start from a guest refused:', bob.errors[0]);
+
+    alice.ws.send(JSON.stringify({ type: 'start', settings: { seed: '42', matchFormat: 'east' } }));
+    await waitFor(() => alice.rounds >= 2 && bob.rounds >= 2, 20000);
+    console.log(`Two rounds played (${alice.views} views to alice, ${bob.views} to bob)`);
+
+    // Bob leaves: the AI plays his seat and alice carries on alone
+    bob.ws.close();
+    const before = alice.rounds;
+    await waitFor(() => alice.rounds > before, 20000);
+    console.log('Round finished with bob\'s seat played by the AI');
+
+    // Someone new takes the empty seat back mid-match
+    const carol = await startClient(port, 'carol', rng);
+    await waitFor(() => carol.seat === 1 && carol.rounds > 0, 20000);
+    console.log('Carol took over seat', carol.seat);
+
+    alice.ws.close();
+    carol.ws.close();
+    await waitFor(() => server.tables.size === 0, 2000);
+    server.close();
+}
+
+main().then(() => {
+    console.log('VERIFICATION SUCCESS: online clients only see their own concealed tiles.');
+    process.exit(0);
+}).catch(e => {
+    console.error('VERIFICATION FAILED:');
+    console.error(e.message);
+    process.exit(1);
+});
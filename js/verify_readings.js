@@ -0,0 +1,48 @@
+// Checks that a winning hand is read every way it can be: 111222333 is
+// three pungs or three chows, and scoring keeps whichever reading pays more.
+const { Hand, Scoring, WINDS, createAllTiles } = require('./engine');
+
+function check(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+/** A concealed hand of these tile keys, e.g. 'wan_1' */
+function handOf(keys) {
+    const pool = createAllTiles();
+    const hand = new Hand(1);
+    hand.setInitial(keys.map(key => pool.splice(pool.findIndex(t => t.key === key), 1)[0]));
+    return hand;
+}
+
+/** A reading as 'pung wan_1, ... / pair sok_9', sets sorted */
+function describe(reading) {
+    const sets = reading.sets.map(s => `${s.type} ${s.key}`).sort().join(', ');
+    return `${sets} / pair ${reading.pair}`;
+}
+
+try {
+    console.log("--- Reading 111222333 萬 + 777 筒 + 99 索 ---");
+    const hand = handOf(['wan_1', 'wan_1', 'wan_1', 'wan_2', 'wan_2', 'wan_2', 'wan_3', 'wan_3', 'wan_3',
+        'tung_7', 'tung_7', 'tung_7', 'sok_9', 'sok_9']);
+    const readings = hand.getWinDecompositions().map(describe).sort();
+    readings.forEach(r => console.log("  " + r));
+    const expected = [
+        'chow wan_1, chow wan_1, chow wan_1, pung tung_7 / pair sok_9',
+        'pung tung_7, pung wan_1, pung wan_2, pung wan_3 / pair sok_9'
+    ];
+    check(JSON.stringify(readings) === JSON.stringify(expected), "Expected exactly the pung and the chow readings");
+
+    console.log("--- Scoring keeps the better reading ---");
+    const context = { seatWind: WINDS.SOUTH, roundWind: WINDS.EAST, selfDrawn: false,
+        winningTile: hand.concealed[0], turnCount: 8, players: [] };
+    const result = Scoring.calculate(hand, context);
+    console.log("Breakdown:", result.breakdown.map(b => `${b.name}:${b.fan}`).join(' '));
+    check(result.decomposition.sets.every(s => s.type === 'pung'), "The pung reading was not the one used");
+    check(result.breakdown.some(b => b.name === '對對糊'), "對對糊 was not scored");
+
+    console.log("VERIFICATION SUCCESS: every reading of a winning hand is scored and the best is kept.");
+} catch (e) {
+    console.error("VERIFICATION FAILED:");
+    console.error(e.message);
+    process.exit(1);
+}
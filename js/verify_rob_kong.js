@@ -0,0 +1,102 @@
+// Checks robbing the kong (搶槓): a player waiting on the tile another adds
+// to an exposed pung wins on it, scores 搶槓 and is paid by the konging
+// player alone; if nobody can rob it, the kong goes ahead.
+const { createGame, Player, ManualScheduler, GAME_STATE, MELD_TYPE } = require('./engine');
+
+function check(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+/** Wins whenever it can and remembers whether it was offered a rob */
+class RobbingPlayer extends Player {
+    constructor() {
+        super();
+        this.robOffered = false;
+    }
+
+    decideClaim(request, respond) {
+        if (request.robbingKong) this.robOffered = true;
+        respond(request.actions.includes('win') ? 'win' : null);
+    }
+}
+
+// Seat 0 holds an exposed pung of 5萬 and the fourth 5萬 to add to it
+const KONGER = ['wan_5', 'tung_1', 'tung_1', 'tung_1', 'tung_2', 'tung_2', 'tung_2', 'tung_3', 'tung_3', 'tung_3', 'dragon_3'];
+const WINS_ON_5 = ['wan_4', 'wan_6', 'sok_1', 'sok_2', 'sok_3', 'sok_4', 'sok_5', 'sok_6', 'sok_7', 'sok_8', 'sok_9',
+    'dragon_1', 'dragon_1'];
+const WINS_ON_3 = ['wan_1', 'wan_2', 'sok_1', 'sok_2', 'sok_3', 'sok_4', 'sok_5', 'sok_6', 'sok_7', 'sok_8', 'sok_9',
+    'dragon_1', 'dragon_1'];
+const NOTHING = ['wan_1', 'wan_9', 'tung_9', 'sok_9', 'wind_4', 'dragon_2', 'dragon_3', 'wan_8', 'wan_8', 'tung_8',
+    'sok_4', 'sok_6', 'wind_4'];
+
+/**
+ * A dealt game with these concealed hands (by seat), seat 0's pung of 5萬
+ * exposed, and the rest of the tiles in the wall. Debug mode: any lost tile throws.
+ */
+function stage(hands) {
+    const players = [0, 1, 2, 3].map(() => new RobbingPlayer());
+    const game = createGame({
+        seed: 1, minFan: 0, debug: true, scheduler: new ManualScheduler(), createPlayer: seat => players[seat]
+    });
+    game.rollDice();
+    game.confirmDice();
+    game.scheduler.cancelAll(); // The dealer's first turn
+
+    const wall = game.wall;
+    const pool = [...wall.tiles.slice(wall.drawIndex), ...wall.deadWall];
+    game.hands.forEach(h => pool.push(...h.concealed, ...h.flowers));
+    const take = key => {
+        const idx = pool.findIndex(t => t.key === key);
+        check(idx >= 0, `No ${key} left to stage`);
+        return pool.splice(idx, 1)[0];
+    };
+    game.hands[0].melds = [{ type: MELD_TYPE.PUNG, tiles: [take('wan_5'), take('wan_5'), take('wan_5')], fromPlayer: 3 }];
+    hands.forEach((keys, seat) => {
+        game.hands[seat].setInitial(keys.map(take));
+        game.hands[seat].flowers = [];
+    });
+    wall.deadWall = pool.splice(0, wall.deadWall.length);
+    wall.tiles = pool;
+    wall.drawIndex = 0;
+    game.currentPlayer = 0;
+    game.turnCount = 4;
+    return { game, players };
+}
+
+/** Seat 0 adds its 5萬 to the pung; whatever follows from it plays out */
+function addKong(game) {
+    game._declareKong(0, 'kong_added', 'wan_5');
+    game.scheduler.step(); // A rob is carried out after its announcement
+}
+
+try {
+    console.log("--- Seat 2 waits on 5萬 ---");
+    let { game, players } = stage([KONGER, NOTHING, WINS_ON_5, NOTHING]);
+    addKong(game);
+    const win = game.wins[0];
+    console.log("Win:", JSON.stringify(game.roundLog.filter(ev => ev.type === 'win')));
+    console.log("Scored:", win.info.scoring.breakdown.map(b => `${b.name}:${b.fan}`).join(' '));
+    check(players[2].robOffered && !players[1].robOffered && !players[3].robOffered, "Only seat 2 should be offered the rob");
+    check(game.wins.length === 1 && win.player === 2 && win.info.robbedKong, "Seat 2 did not rob the kong");
+    check(win.info.scoring.breakdown.some(b => b.name === '搶槓'), "搶槓 was not scored");
+    check(game.hands[0].melds[0].tiles.length === 3, "The kong went ahead although it was robbed");
+    check(game.state === GAME_STATE.ROUND_END, "The round did not end on the rob");
+    const deltas = game.paymentInfo.deltas;
+    console.log("Payment:", deltas.join(' / '));
+    check(deltas[0] < 0 && deltas[1] === 0 && deltas[3] === 0 && deltas[2] === -deltas[0], "The konging player should pay alone");
+
+    console.log("--- Nobody can rob ---");
+    ({ game, players } = stage([KONGER, NOTHING, WINS_ON_3, NOTHING]));
+    addKong(game);
+    check(players.every(p => !p.robOffered), "Nobody should have been offered the rob");
+    check(game.hands[0].melds[0].type === MELD_TYPE.KONG_ADDED && game.hands[0].melds[0].tiles.length === 4,
+        "The added kong was not completed");
+    check(game.roundLog.some(ev => ev.type === 'draw' && ev.player === 0 && ev.source === 'dead'), "No replacement was drawn");
+    console.log("Kong completed and replacement drawn");
+
+    console.log("VERIFICATION SUCCESS: an added kong can be robbed, and goes ahead when it is not.");
+} catch (e) {
+    console.error("VERIFICATION FAILED:");
+    console.error(e.message);
+    process.exit(1);
+}
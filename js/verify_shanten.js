@@ -0,0 +1,55 @@
+// Checks shanten (向聽數) for each hand shape: -1 for a win, 0 when ready,
+// and how far off a scattered hand is, with exposed melds counted as sets.
+const { Hand, createAllTiles } = require('./engine');
+
+function check(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+/** A hand of these tile keys, with melds taken as exposed pungs of the given keys */
+function handOf(keys, pungs = []) {
+    const pool = createAllTiles();
+    const take = key => pool.splice(pool.findIndex(t => t.key === key), 1)[0];
+    const hand = new Hand(0);
+    hand.setInitial(keys.map(take));
+    hand.melds = pungs.map(key => ({ type: 'pung', tiles: [take(key), take(key), take(key)] }));
+    return hand;
+}
+
+function expectShanten(name, hand, expected) {
+    const result = hand.getShanten();
+    console.log(`${name}: ${JSON.stringify(result)}`);
+    for (const [shape, value] of Object.entries(expected)) {
+        check(result[shape] === value, `${name}: expected ${shape} ${value}, got ${result[shape]}`);
+    }
+}
+
+try {
+    const orphans = ['wan_1', 'wan_9', 'tung_1', 'tung_9', 'sok_1', 'sok_9',
+        'wind_1', 'wind_2', 'wind_3', 'wind_4', 'dragon_1', 'dragon_2', 'dragon_3'];
+
+    console.log("--- Complete and ready hands ---");
+    expectShanten("Winning hand", handOf(['wan_1', 'wan_2', 'wan_3', 'wan_4', 'wan_5', 'wan_6', 'tung_7', 'tung_8', 'tung_9',
+        'sok_2', 'sok_2', 'sok_2', 'dragon_1', 'dragon_1']), { shanten: -1, standard: -1 });
+    expectShanten("Ready on 1-4萬", handOf(['wan_2', 'wan_3', 'tung_1', 'tung_2', 'tung_3', 'sok_5', 'sok_5', 'sok_5',
+        'dragon_1', 'dragon_1', 'dragon_1', 'wind_2', 'wind_2']), { shanten: 0, standard: 0 });
+    expectShanten("Six pairs + single", handOf(['wan_1', 'wan_1', 'wan_5', 'wan_5', 'tung_3', 'tung_3', 'tung_8', 'tung_8',
+        'sok_2', 'sok_2', 'sok_7', 'sok_7', 'wind_2']), { shanten: 0, sevenPairs: 0 });
+    expectShanten("Thirteen orphans", handOf(orphans), { shanten: 0, thirteenOrphans: 0 });
+
+    console.log("--- Hands further off ---");
+    expectShanten("Two short of ready", handOf(['wan_2', 'wan_3', 'tung_1', 'tung_2', 'tung_4', 'sok_5', 'sok_5', 'sok_5',
+        'dragon_1', 'dragon_1', 'dragon_1', 'wind_2', 'wind_3']), { shanten: 2, standard: 2 });
+    expectShanten("Scattered", handOf(['wan_1', 'wan_4', 'wan_7', 'tung_2', 'tung_5', 'tung_8', 'sok_3', 'sok_6', 'sok_9',
+        'wind_1', 'wind_2', 'dragon_1', 'dragon_2']), { shanten: 6, standard: 8, sevenPairs: 6, thirteenOrphans: 7 });
+
+    console.log("--- Exposed melds ---");
+    const open = handOf(['wan_2', 'wan_3', 'tung_1', 'tung_2', 'tung_3', 'wind_2', 'wind_2'], ['sok_5', 'dragon_1']);
+    expectShanten("Two pungs exposed, ready", open, { shanten: 0, sevenPairs: Infinity, thirteenOrphans: Infinity });
+
+    console.log("VERIFICATION SUCCESS: shanten is right for every hand shape.");
+} catch (e) {
+    console.error("VERIFICATION FAILED:");
+    console.error(e.message);
+    process.exit(1);
+}
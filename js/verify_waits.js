@@ -0,0 +1,67 @@
+// Checks the waiting tiles (聽牌) found for standard, seven-pairs and
+// thirteen-orphans hands, that a tile the hand holds all four of is no wait,
+// and that the fan shown for a wait is for a later discard, not a first-turn win.
+const { Hand, createAllTiles, createGame, ManualScheduler } = require('./engine');
+
+function check(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+/** A concealed hand of these tile keys, e.g. 'wan_1' */
+function handOf(keys) {
+    const pool = createAllTiles();
+    const hand = new Hand(0);
+    hand.setInitial(keys.map(key => pool.splice(pool.findIndex(t => t.key === key), 1)[0]));
+    return hand;
+}
+
+function expectWaits(name, keys, expected) {
+    const waits = handOf(keys).getWaits().map(w => w.key).sort();
+    console.log(`${name}: ${waits.join(' ') || '(not ready)'}`);
+    check(JSON.stringify(waits) === JSON.stringify(expected.slice().sort()),
+        `${name}: expected ${expected.join(' ')}, got ${waits.join(' ')}`);
+}
+
+try {
+    console.log("--- Standard hands ---");
+    // 九蓮寶燈 shape: waits on every tile of the suit
+    expectWaits("1112345678999 萬", ['wan_1', 'wan_1', 'wan_1', 'wan_2', 'wan_3', 'wan_4', 'wan_5', 'wan_6',
+        'wan_7', 'wan_8', 'wan_9', 'wan_9', 'wan_9'],
+    ['wan_1', 'wan_2', 'wan_3', 'wan_4', 'wan_5', 'wan_6', 'wan_7', 'wan_8', 'wan_9']);
+    // Open-ended 23 waits on 1 and 4
+    expectWaits("23 萬 + three sets + pair", ['wan_2', 'wan_3', 'tung_1', 'tung_2', 'tung_3', 'sok_5', 'sok_5', 'sok_5',
+        'dragon_1', 'dragon_1', 'dragon_1', 'wind_2', 'wind_2'], ['wan_1', 'wan_4']);
+    // 1111 would want a fifth 1萬 for pung + pair, which does not exist
+    expectWaits("1111 萬 held", ['wan_1', 'wan_1', 'wan_1', 'wan_1', 'tung_1', 'tung_2', 'tung_3',
+        'sok_5', 'sok_5', 'sok_5', 'dragon_1', 'dragon_1', 'dragon_1'], []);
+    expectWaits("Not ready", ['wan_1', 'wan_4', 'wan_7', 'tung_2', 'tung_5', 'tung_8', 'sok_3', 'sok_6', 'sok_9',
+        'wind_1', 'wind_2', 'dragon_1', 'dragon_2'], []);
+
+    console.log("--- Seven pairs ---");
+    expectWaits("Six pairs + 南", ['wan_1', 'wan_1', 'wan_5', 'wan_5', 'tung_3', 'tung_3', 'tung_8', 'tung_8',
+        'sok_2', 'sok_2', 'sok_7', 'sok_7', 'wind_2'], ['wind_2']);
+
+    console.log("--- Thirteen orphans ---");
+    const orphans = ['wan_1', 'wan_9', 'tung_1', 'tung_9', 'sok_1', 'sok_9',
+        'wind_1', 'wind_2', 'wind_3', 'wind_4', 'dragon_1', 'dragon_2', 'dragon_3'];
+    expectWaits("Thirteen-sided", orphans, orphans);
+    expectWaits("Missing 中", [...orphans.filter(k => k !== 'dragon_1'), 'wan_1'], ['dragon_1']);
+
+    console.log("--- Fan shown before the dealer's first discard ---");
+    const game = createGame({ seed: 3, scheduler: new ManualScheduler() });
+    game.rollDice();
+    game.confirmDice();
+    const seat = (game.dealerIndex + 1) % 4;
+    game.hands[seat] = handOf(['wan_2', 'wan_3', 'tung_1', 'tung_2', 'tung_3', 'sok_5', 'sok_5', 'sok_5',
+        'dragon_1', 'dragon_1', 'dragon_1', 'wind_2', 'wind_2']);
+    const shown = game.getPlayerWaits(seat);
+    console.log(`Turn ${game.turnCount}: ${shown.map(w => `${w.key} ${w.fan} 番`).join(', ')}`);
+    check(game.turnCount === 0 && shown.length === 2, "Expected the 23 萬 hand to wait on two tiles");
+    check(shown.every(w => w.fan < game.rules.maxFan), "A first-turn 地糊 was shown as the discard-win fan");
+
+    console.log("VERIFICATION SUCCESS: waits are found for every hand shape.");
+} catch (e) {
+    console.error("VERIFICATION FAILED:");
+    console.error(e.message);
+    process.exit(1);
+}
@@ -0,0 +1,54 @@
+// Checks that replacement tiles come off the right end of the wall: the dead
+// wall first, then the live wall's tail, stack by stack, top tile first.
+const { Game, Wall, Random, InstantScheduler, createTileLookup, DEAD_WALL_SIZE, LIVE_WALL_SIZE } = require('./engine');
+
+function check(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+try {
+    console.log("--- Building a wall broken by a dice sum of 12 ---");
+    const wall = new Wall();
+    wall.build(new Random(11));
+    wall.breakAt(1, 12);
+    const ring = wall._ring();
+    const order = Wall.replacementOrder(wall.start, DEAD_WALL_SIZE + 4);
+    console.log("Break at ring position", wall.start);
+
+    for (let i = 0; i < DEAD_WALL_SIZE; i++) {
+        check(wall.drawFromDeadWall() === ring[order[i]], `Replacement ${i} did not come from the dead wall`);
+    }
+    check(wall.drawFromDeadWall() === null, "The dead wall did not run out after 14 tiles");
+
+    console.log("--- Drawing past the dead wall ---");
+    const liveTail = wall.tiles[LIVE_WALL_SIZE - 1];
+    for (let i = DEAD_WALL_SIZE; i < DEAD_WALL_SIZE + 4; i++) {
+        const tile = wall.drawFromTail();
+        check(tile === ring[order[i]], `Replacement ${i} was not the next tile behind the dead wall`);
+    }
+    check(wall.tailDrawn === 4 && wall.remaining === LIVE_WALL_SIZE - 4, "The live wall did not shrink by four");
+    check(!wall.tiles.includes(liveTail), "The live wall's last tile was not taken");
+    check(wall.draw() === ring[wall.start], "A live draw no longer comes from the break");
+
+    // The dead wall and the two stacks behind it are drawn as empty
+    const empty = wall.stacks().reduce((n, side) => n + side.filter(stack => stack.tiles === 0).length, 0);
+    check(empty === DEAD_WALL_SIZE / 2 + 2, `Expected ${DEAD_WALL_SIZE / 2 + 2} empty stacks, found ${empty}`);
+
+    const saved = Wall.fromJSON(JSON.parse(JSON.stringify(wall)), createTileLookup());
+    check(saved.tailDrawn === 4 && saved.replacementsDrawn === DEAD_WALL_SIZE + 4, "Tail draws were not saved");
+
+    console.log("--- Replacing through the game ---");
+    const game = new Game({ scheduler: new InstantScheduler() });
+    game.wall = new Wall();
+    game.wall.build(new Random(5));
+    game.wall.deadWall = [];
+    const expected = game.wall.tiles[LIVE_WALL_SIZE - 2];
+    const replacement = game._nextReplacement();
+    check(replacement.source === 'tail' && replacement.tile === expected, "The game did not replace from the live wall's tail");
+
+    console.log("VERIFICATION SUCCESS: replacement tiles come from the dead wall, then the live wall's tail.");
+} catch (e) {
+    console.error("VERIFICATION FAILED:");
+    console.error(e.message);
+    process.exit(1);
+}
@@ -9,6 +9,7 @@ class VoiceManager {
         this._synth = window.speechSynthesis;
         this._voices = [];
         this._voiceReady = false;
+        this.rng = new Random(); // Replaced with a seeded stream when a game starts
 
         // Character voice profiles:
         // Player 0: 阿明 — 高音高, 中語速, 男聲
@@ -150,7 +151,7 @@ class VoiceManager {
     announceAction(action, playerIndex = 0) {
         const phrases = this._reactions[action];
         if (phrases && phrases.length > 0) {
-            const phrase = phrases[Math.floor(Math.random() * phrases.length)];
+            const phrase = this.rng.pick(phrases);
             this.speak(phrase, playerIndex);
         }
     }
@@ -160,6 +161,26 @@ class VoiceManager {
         this.announceAction('flower', playerIndex);
     }
 
+    /**
+     * Speak for the players as the game reports their discards, melds,
+     * flowers and wins (see GAME_EVENT).
+     * @param {Game} game
+     */
+    listenTo(game) {
+        const charId = player => game.characters[player].id;
+        game.on(GAME_EVENT.TILE_DISCARDED, e => this.announceDiscard(e.tile, charId(e.player)));
+        game.on(GAME_EVENT.MELD_DECLARED, e => {
+            const action = e.meld.type === MELD_TYPE.CHOW ? 'chow' : e.meld.type === MELD_TYPE.PUNG ? 'pung' : 'kong';
+            this.announceAction(action, charId(e.player));
+        });
+        game.on(GAME_EVENT.FLOWER_REPLACED, e => this.announceFlower(charId(e.player)));
+        game.on(GAME_EVENT.ROUND_WON, e => {
+            for (const { player, info } of e.wins) {
+                this.announceAction(info.selfDrawn || info.flowerWin ? 'selfWin' : 'winByDiscard', charId(player));
+            }
+        });
+    }
+
     /** Toggle voice on/off */
     toggleVoice() {
         this.enabled = !this.enabled;
@@ -1,27 +1,130 @@
 // ============================================================
 // wall.js — Wall building, shuffling, dealing
 // ============================================================
+//
+// The wall is four sides of 18 stacks, two tiles high, one side in front of
+// each seat. Ring positions run clockwise round the table (the way tiles are
+// drawn): side by side in the order seat 0, 3, 2, 1, stack by stack along a
+// side, top tile then bottom tile. The dice pick where the wall is broken
+// (開牌): live draws go clockwise from the break, and replacement tiles for
+// kongs and flowers come off the other end, just behind the break. Once the
+// dead wall is used up, replacements carry on along the live wall's tail.
+
+const WALL_STACKS = 18;       // stacks per side
+const DEAD_WALL_SIZE = 14;    // tiles kept back at the tail for replacements
+const LIVE_WALL_SIZE = TOTAL_TILES - DEAD_WALL_SIZE;
 
 class Wall {
     constructor() {
-        this.tiles = [];
-        this.deadWall = [];
+        this.tiles = [];      // live wall in draw order
+        this.deadWall = [];   // replacement tiles; pop() takes the next one
         this.drawIndex = 0;
+        this.tailDrawn = 0;   // replacement tiles taken off the live wall's tail after the dead wall ran out
+        this.start = 0;       // ring position of the first live tile (just after the break)
     }
 
-    /** Build and shuffle a new wall */
-    build() {
+    /**
+     * Build and shuffle a new wall, broken at ring position 0 until breakAt() is called
+     * @param {Random} rng
+     */
+    build(rng) {
         this.tiles = createAllTiles();
-        this.shuffle();
-        // Dead wall: last 14 tiles
-        this.deadWall = this.tiles.splice(this.tiles.length - 14, 14);
+        this.shuffle(rng);
+        this._breakRing(this.tiles, 0);
+    }
+
+    /**
+     * Break the wall as the dice say (開牌): counting the dealer as 1, go round
+     * the seats in turn order to the diceSum-th seat, then count diceSum stacks
+     * in from the right-hand end of that seat's side. Must be called before dealing.
+     * @param {number} dealerIndex
+     * @param {number} diceSum — 3 to 18
+     */
+    breakAt(dealerIndex, diceSum) {
+        const seat = (dealerIndex + diceSum - 1) % 4;
+        const start = (Wall.sidePosition(seat) * WALL_STACKS + diceSum) * 2 % TOTAL_TILES;
+        this._breakRing(this._ring(), start);
+    }
+
+    /** Clockwise order of a seat's side, starting from seat 0 */
+    static sidePosition(seat) {
+        return (4 - seat) % 4;
+    }
+
+    /**
+     * Ring positions of the tail, in the order replacement tiles are taken:
+     * the stack just behind the break first, top tile before bottom.
+     * @param {number} start — ring position of the first live tile
+     * @param {number} [count] — positions wanted; past the dead wall they run on into the live wall
+     */
+    static replacementOrder(start, count = DEAD_WALL_SIZE) {
+        const order = [];
+        for (let k = TOTAL_TILES - 2; order.length < count; k -= 2) {
+            order.push((start + k) % TOTAL_TILES, (start + k + 1) % TOTAL_TILES);
+        }
+        return order.slice(0, count);
+    }
+
+    /**
+     * Tiles left in every stack, for drawing the wall.
+     * @param {number} start — ring position of the first live tile
+     * @param {number} liveDrawn — tiles drawn from the live wall
+     * @param {number} deadDrawn — replacement tiles taken, including any off the live wall's tail
+     * @returns {{ tiles: number, dead: boolean }[][]} by seat, stacks in clockwise order along the side
+     */
+    static stacksFor(start, liveDrawn, deadDrawn) {
+        const present = new Array(TOTAL_TILES).fill(true);
+        const dead = new Array(TOTAL_TILES).fill(false);
+        for (let k = 0; k < liveDrawn; k++) present[(start + k) % TOTAL_TILES] = false;
+        Wall.replacementOrder(start, Math.max(DEAD_WALL_SIZE, deadDrawn)).forEach((pos, i) => {
+            if (i < DEAD_WALL_SIZE) dead[pos] = true;
+            if (i < deadDrawn) present[pos] = false;
+        });
+        return [0, 1, 2, 3].map(seat => {
+            const stacks = [];
+            for (let i = 0; i < WALL_STACKS; i++) {
+                const pos = (Wall.sidePosition(seat) * WALL_STACKS + i) * 2;
+                stacks.push({ tiles: present[pos] + present[pos + 1], dead: dead[pos] });
+            }
+            return stacks;
+        });
+    }
+
+    /** Tiles left in every stack of this wall (see stacksFor); no stacks before it is built */
+    stacks() {
+        if (this.tiles.length === 0) return [[], [], [], []];
+        return Wall.stacksFor(this.start, this.drawIndex, this.replacementsDrawn);
+    }
+
+    /** Replacement tiles taken so far, from the dead wall and then the live wall's tail */
+    get replacementsDrawn() {
+        if (this.tiles.length === 0) return 0;
+        return DEAD_WALL_SIZE - this.deadWall.length + this.tailDrawn;
+    }
+
+    /** Every tile at its ring position (only valid before any tile is drawn) */
+    _ring() {
+        const ring = new Array(TOTAL_TILES);
+        this.tiles.forEach((t, k) => { ring[(this.start + k) % TOTAL_TILES] = t; });
+        const order = Wall.replacementOrder(this.start);
+        this.deadWall.forEach((t, i) => { ring[order[this.deadWall.length - 1 - i]] = t; });
+        return ring;
+    }
+
+    /** Split a ring of tiles into live wall and dead wall at a break */
+    _breakRing(ring, start) {
+        this.start = start;
+        this.tiles = [];
+        for (let k = 0; k < LIVE_WALL_SIZE; k++) this.tiles.push(ring[(start + k) % TOTAL_TILES]);
+        this.deadWall = Wall.replacementOrder(start).map(pos => ring[pos]).reverse();
         this.drawIndex = 0;
+        this.tailDrawn = 0;
     }
 
     /** Fisher-Yates shuffle */
-    shuffle() {
+    shuffle(rng) {
         for (let i = this.tiles.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
+            const j = rng.nextInt(i + 1);
             [this.tiles[i], this.tiles[j]] = [this.tiles[j], this.tiles[i]];
         }
     }
@@ -32,17 +135,56 @@ class Wall {
         return this.tiles[this.drawIndex++];
     }
 
-    /** Draw from dead wall (for Kong replacement) */
+    /** Draw a replacement tile from the tail of the wall (kong or flower) */
     drawFromDeadWall() {
         if (this.deadWall.length === 0) return null;
         return this.deadWall.pop();
     }
 
+    /**
+     * Draw a replacement tile from the tail of the live wall, once the dead
+     * wall is used up: the stack nearest the dead wall, top tile first.
+     * Returns null if the live wall is exhausted.
+     */
+    drawFromTail() {
+        if (this.remaining <= 0) return null;
+        // The live wall ends on a whole stack until its top tile is taken
+        const last = this.tiles.length - 1;
+        const idx = this.tailDrawn % 2 === 0 && last - 1 >= this.drawIndex ? last - 1 : last;
+        this.tailDrawn++;
+        return this.tiles.splice(idx, 1)[0];
+    }
+
     /** Remaining tiles in the live wall */
     get remaining() {
         return this.tiles.length - this.drawIndex;
     }
 
+    toJSON() {
+        return {
+            tiles: this.tiles.map(t => t.id),
+            deadWall: this.deadWall.map(t => t.id),
+            drawIndex: this.drawIndex,
+            tailDrawn: this.tailDrawn,
+            start: this.start
+        };
+    }
+
+    /**
+     * Restore a wall saved with toJSON()
+     * @param {Object} data
+     * @param {Tile[]} lookup — from createTileLookup()
+     */
+    static fromJSON(data, lookup) {
+        const wall = new Wall();
+        wall.tiles = data.tiles.map(id => lookup[id]);
+        wall.deadWall = data.deadWall.map(id => lookup[id]);
+        wall.drawIndex = data.drawIndex;
+        wall.tailDrawn = data.tailDrawn;
+        wall.start = data.start;
+        return wall;
+    }
+
     /** Deal initial hands: 13 tiles each, dealer gets 14 */
     deal(dealerIndex) {
         const hands = [[], [], [], []];
@@ -0,0 +1,212 @@
+// ============================================================
+// websocket.js — Just enough WebSocket (RFC 6455) for server.js
+// ============================================================
+//
+// Text messages only, both ends: the server accepts upgrades from the
+// browser, and connectWebSocket() gives Node test clients the same
+// connection object. No extensions, no binary frames.
+
+const crypto = require('crypto');
+const http = require('http');
+const { EventEmitter } = require('events');
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_PAYLOAD = 1 << 20; // Anything bigger is not one of our messages
+
+const OPCODE = { CONTINUATION: 0x0, TEXT: 0x1, BINARY: 0x2, CLOSE: 0x8, PING: 0x9, PONG: 0xA };
+
+/**
+ * One open connection. Emits 'message' (string) for each text message
+ * and 'close' once, however the connection ends.
+ */
+class WebSocketConnection extends EventEmitter {
+    /**
+     * @param {net.Socket} socket — already past the HTTP upgrade
+     * @param {boolean} masked — clients mask what they send, servers don't
+     */
+    constructor(socket, masked) {
+        super();
+        this.socket = socket;
+        this.masked = masked;
+        this.open = true;
+        this._buffer = Buffer.alloc(0);
+        this._fragments = null; // Payloads of a message still arriving in pieces
+
+        socket.setNoDelay(true);
+        socket.on('data', data => this._receive(data));
+        socket.on('close', () => this._closed());
+        socket.on('error', () => this._closed());
+    }
+
+    send(text) {
+        if (this.open) this.socket.write(this._frame(OPCODE.TEXT, Buffer.from(text, 'utf8')));
+    }
+
+    close() {
+        if (!this.open) return;
+        this.socket.write(this._frame(OPCODE.CLOSE, Buffer.alloc(0)));
+        this.socket.end();
+        this._closed();
+    }
+
+    _closed() {
+        if (!this.open) return;
+        this.open = false;
+        this.socket.destroy();
+        this.emit('close');
+    }
+
+    _frame(opcode, payload) {
+        const len = payload.length;
+        const lenBytes = len < 126 ? 0 : len < 65536 ? 2 : 8;
+        const maskBytes = this.masked ? 4 : 0;
+        const frame = Buffer.alloc(2 + lenBytes + maskBytes + len);
+        frame[0] = 0x80 | opcode; // FIN: never fragmented
+        frame[1] = (this.masked ? 0x80 : 0) | (lenBytes === 0 ? len : lenBytes === 2 ? 126 : 127);
+        if (lenBytes === 2) frame.writeUInt16BE(len, 2);
+        else if (lenBytes === 8) frame.writeBigUInt64BE(BigInt(len), 2);
+        const offset = 2 + lenBytes + maskBytes;
+        payload.copy(frame, offset);
+        if (this.masked) {
+            const mask = crypto.randomBytes(4);
+            mask.copy(frame, 2 + lenBytes);
+            for (let i = 0; i < len; i++) frame[offset + i] ^= mask[i & 3];
+        }
+        return frame;
+    }
+
+    /** Take every complete frame off the buffer */
+    _receive(data) {
+        this._buffer = Buffer.concat([this._buffer, data]);
+        while (this.open) {
+            const frame = this._parseFrame();
+            if (!frame) return;
+            this._handleFrame(frame);
+        }
+    }
+
+    /** The frame at the head of the buffer, or null until all of it has arrived */
+    _parseFrame() {
+        const buf = this._buffer;
+        if (buf.length < 2) return null;
+        const fin = (buf[0] & 0x80) !== 0;
+        const opcode = buf[0] & 0x0F;
+        const masked = (buf[1] & 0x80) !== 0;
+        let len = buf[1] & 0x7F;
+        let offset = 2;
+        if (len === 126) {
+            if (buf.length < 4) return null;
+            len = buf.readUInt16BE(2);
+            offset = 4;
+        } else if (len === 127) {
+            if (buf.length < 10) return null;
+            const big = buf.readBigUInt64BE(2);
+            len = big > BigInt(MAX_PAYLOAD) ? Infinity : Number(big);
+            offset = 10;
+        }
+        if (len > MAX_PAYLOAD) {
+            this._closed();
+            return null;
+        }
+        const maskOffset = offset;
+        if (masked) offset += 4;
+        if (buf.length < offset + len) return null;
+
+        const payload = Buffer.from(buf.subarray(offset, offset + len));
+        if (masked) {
+            for (let i = 0; i < len; i++) payload[i] ^= buf[maskOffset + (i & 3)];
+        }
+        this._buffer = buf.subarray(offset + len);
+        return { fin, opcode, payload };
+    }
+
+    _handleFrame({ fin, opcode, payload }) {
+        switch (opcode) {
+            case OPCODE.TEXT:
+            case OPCODE.BINARY:
+                this._fragments = [payload];
+                break;
+            case OPCODE.CONTINUATION:
+                if (!this._fragments) return;
+                this._fragments.push(payload);
+                if (this._fragments.reduce((n, p) => n + p.length, 0) > MAX_PAYLOAD) {
+                    this._closed();
+                    return;
+                }
+                break;
+            case OPCODE.PING:
+                this.socket.write(this._frame(OPCODE.PONG, payload));
+                return;
+            case OPCODE.CLOSE:
+                this.close();
+                return;
+            default:
+                return; // PONG and anything unknown
+        }
+        if (!fin) return;
+        const text = Buffer.concat(this._fragments).toString('utf8');
+        this._fragments = null;
+        this.emit('message', text);
+    }
+}
+
+/** Sec-WebSocket-Accept for a client's key */
+function acceptKey(key) {
+    return crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+}
+
+/**
+ * Answer an HTTP 'upgrade' request and return the connection,
+ * or null (having refused it) if it is not a WebSocket handshake.
+ */
+function acceptWebSocket(req, socket, head) {
+    const key = req.headers['sec-websocket-key'];
+    if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return null;
+    }
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${acceptKey(key)}`,
+        '', ''
+    ].join('\r\n'));
+    const ws = new WebSocketConnection(socket, false);
+    if (head && head.length > 0) ws._receive(head);
+    return ws;
+}
+
+/**
+ * Open a connection to a ws:// URL from Node (tests and headless clients).
+ * @returns {Promise<WebSocketConnection>}
+ */
+function connectWebSocket(url) {
+    return new Promise((resolve, reject) => {
+        const key = crypto.randomBytes(16).toString('base64');
+        const req = http.request(url.replace(/^ws/, 'http'), {
+            headers: {
+                Connection: 'Upgrade',
+                Upgrade: 'websocket',
+                'Sec-WebSocket-Key': key,
+                'Sec-WebSocket-Version': '13'
+            }
+        });
+        req.on('upgrade', (res, socket, head) => {
+            if (res.headers['sec-websocket-accept'] !== acceptKey(key)) {
+                socket.destroy();
+                reject(new Error('WebSocket handshake failed'));
+                return;
+            }
+            const ws = new WebSocketConnection(socket, true);
+            resolve(ws);
+            // Messages that came with the handshake wait until the caller has had the connection
+            if (head && head.length > 0) queueMicrotask(() => ws._receive(head));
+        });
+        req.on('response', res => reject(new Error(`WebSocket refused: HTTP ${res.statusCode}`)));
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+module.exports = { WebSocketConnection, acceptWebSocket, connectWebSocket };